@@ -0,0 +1,197 @@
+/**
+ * カロリー調整提案モジュール
+ * plan.guidelines のルールを週平均体重に当てはめ、次の目標カロリーとPFCを提案
+ */
+
+const CalorieAdvisor = {
+  // ガイドラインが読み取れない場合の既定ルール
+  defaultRules: {
+    increaseMin: 150,       // 1週間あたりの増加幅（下限）
+    increaseMax: 200,       // 1週間あたりの増加幅（上限）
+    gainThreshold: 0.3,     // 増加とみなす週平均体重の変化（kg）
+    gainWeeks: 2,           // 増加が続いた週数
+    decrease: 100,          // 減らすカロリー
+    minDaysSinceChange: 7   // 前回の目標変更から様子を見る日数
+  },
+
+  /**
+   * plan.guidelines の文章から数値ルールを読み取る
+   * 例: 「摂取カロリーは1週間あたり150〜200kcal増やす」
+   *     「体重が0.3kg以上増えた週が2週続いたら、100kcalだけ摂取カロリーを減らす」
+   */
+  parseRules(guidelines) {
+    const rules = { ...this.defaultRules };
+    (guidelines || []).forEach(text => {
+      const increase = text.match(/(\d+)\s*[〜~-]\s*(\d+)\s*kcal\s*増/);
+      if (increase) {
+        rules.increaseMin = Number(increase[1]);
+        rules.increaseMax = Number(increase[2]);
+      }
+
+      const decrease = text.match(/([\d.]+)\s*kg以上増えた週が\s*(\d+)\s*週.*?(\d+)\s*kcal.*減らす/);
+      if (decrease) {
+        rules.gainThreshold = Number(decrease[1]);
+        rules.gainWeeks = Number(decrease[2]);
+        rules.decrease = Number(decrease[3]);
+      }
+    });
+    return rules;
+  },
+
+  /**
+   * 提案カロリーに最も近い pfc_targets_by_calories の行を選ぶ（同距離なら低い方）
+   */
+  pickPfcTargets(calories, pfcTable, fallbackGoals) {
+    if (!pfcTable || pfcTable.length === 0) {
+      return {
+        protein: fallbackGoals.protein,
+        fat: fallbackGoals.fat,
+        carbs: fallbackGoals.carbs
+      };
+    }
+
+    const sorted = [...pfcTable].sort((a, b) =>
+      Math.abs(a.calories - calories) - Math.abs(b.calories - calories) || a.calories - b.calories
+    );
+    const row = sorted[0];
+    return { protein: row.protein, fat: row.fat, carbs: row.carbs, tableCalories: row.calories };
+  },
+
+  /**
+   * 週平均データとルールから次の目標を提案
+   * @param {Array} weeks - calculateWeeklySummaries の結果（古い順）
+   * @param {Object} currentGoals - 今日有効な目標（getGoalsForDate）
+   * @param {Object} settings - 設定（pfc_targets_by_calories）
+   * @param {Object} plan - 計画（guidelines）
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Object|null} { action, calories, protein, fat, carbs, rule, reasons }
+   */
+  recommend(weeks, currentGoals, settings, plan, today) {
+    if (!currentGoals || !currentGoals.calories) return null;
+
+    const rules = this.parseRules(plan && plan.guidelines);
+    const current = currentGoals.calories;
+
+    // 集計が終わった週のみで判断する
+    const completed = (weeks || []).filter(w => w.weekEnd < today && w.avgWeight !== null);
+    if (completed.length < 2) {
+      return this.buildProposal('hold', current, currentGoals, settings, '判定待ち', [
+        '週平均体重を比較できる週がまだ2週分ありません'
+      ]);
+    }
+
+    const recent = completed.slice(-rules.gainWeeks);
+    const lastWeek = completed[completed.length - 1];
+    const reasons = recent.map(w =>
+      `${DataManager.formatDate(w.weekStart)}〜の週: 平均${w.avgWeight.toFixed(2)}kg（前週比${w.weightChange > 0 ? '+' : ''}${w.weightChange !== null ? w.weightChange.toFixed(2) : '--'}kg）`
+    );
+
+    // 前回の目標変更から日が浅い場合は様子を見る（採用した提案を繰り返し提案しない）
+    if (currentGoals.since && DataManager.daysBetween(currentGoals.since, today) < rules.minDaysSinceChange) {
+      return this.buildProposal('hold', current, currentGoals, settings,
+        `前回の目標変更（${DataManager.formatDate(currentGoals.since)}）から${rules.minDaysSinceChange}日経っていないため維持`, reasons);
+    }
+
+    // ルール1: 増加週が続いたら減らす（前回の目標変更より後に終わった週だけを数える）
+    const streakWeeks = completed
+      .filter(w => !currentGoals.since || w.weekEnd > currentGoals.since)
+      .slice(-rules.gainWeeks);
+    const gainStreak = streakWeeks.length >= rules.gainWeeks
+      && streakWeeks.every(w => w.weightChange !== null && w.weightChange >= rules.gainThreshold);
+    if (gainStreak) {
+      return this.buildProposal('decrease', current - rules.decrease, currentGoals, settings,
+        `${rules.gainThreshold}kg以上増えた週が${rules.gainWeeks}週続いたため${rules.decrease}kcal減らす`, reasons);
+    }
+
+    // 目標に届いていない週は増やさない
+    if (lastWeek.avgCalories !== null && lastWeek.avgCalories < current - rules.increaseMax) {
+      return this.buildProposal('hold', current, currentGoals, settings,
+        `先週の平均摂取（${lastWeek.avgCalories.toLocaleString()}kcal）が目標に届いていないため維持`, reasons);
+    }
+
+    // ルール2: 1週間あたり増やす（体重が減っていれば上限、横ばいなら下限）
+    if (lastWeek.weightChange !== null && lastWeek.weightChange < rules.gainThreshold) {
+      const step = lastWeek.weightChange <= 0 ? rules.increaseMax : rules.increaseMin;
+      return this.buildProposal('increase', current + step, currentGoals, settings,
+        `週平均体重が${lastWeek.weightChange <= 0 ? '減少' : '横ばい'}のため1週間あたり${rules.increaseMin}〜${rules.increaseMax}kcalのルールで+${step}kcal`, reasons);
+    }
+
+    return this.buildProposal('hold', current, currentGoals, settings,
+      `週平均体重が${rules.gainThreshold}kg以上増えたため、もう1週様子を見る`, reasons);
+  },
+
+  /**
+   * 提案オブジェクトを作成
+   */
+  buildProposal(action, calories, currentGoals, settings, rule, reasons) {
+    const pfc = action === 'hold'
+      ? { protein: currentGoals.protein, fat: currentGoals.fat, carbs: currentGoals.carbs }
+      : this.pickPfcTargets(calories, settings.pfc_targets_by_calories, currentGoals);
+
+    return {
+      action,
+      calories,
+      protein: pfc.protein,
+      fat: pfc.fat,
+      carbs: pfc.carbs,
+      diff: calories - currentGoals.calories,
+      rule,
+      reasons
+    };
+  },
+
+  /**
+   * 提案を goal_history のエントリに変換
+   */
+  toGoalHistoryEntry(proposal, today) {
+    return {
+      date: today,
+      title: proposal.diff > 0
+        ? `目標カロリー${proposal.calories.toLocaleString()}kcalに引き上げ`
+        : `目標カロリー${proposal.calories.toLocaleString()}kcalに引き下げ`,
+      note: `ガイドラインに基づく提案を採用: ${proposal.rule}`,
+      calories: proposal.calories,
+      protein: proposal.protein,
+      fat: proposal.fat,
+      carbs: proposal.carbs,
+      current: true
+    };
+  },
+
+  /**
+   * 採用した目標をローカルストレージに保存
+   */
+  saveAcceptedGoal(entry) {
+    const accepted = this.loadAcceptedGoals().filter(item => item.date !== entry.date);
+    accepted.push(entry);
+    localStorage.setItem('weightDashboard_acceptedGoals', JSON.stringify(accepted));
+  },
+
+  /**
+   * 採用した目標をローカルストレージから読み込み
+   */
+  loadAcceptedGoals() {
+    try {
+      return JSON.parse(localStorage.getItem('weightDashboard_acceptedGoals')) || [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  /**
+   * 読み込んだ goal_history に採用済みの目標を追加（同じ日付は採用済みを優先）
+   */
+  mergeAcceptedGoals(goalHistory) {
+    const accepted = this.loadAcceptedGoals();
+    if (accepted.length === 0) return goalHistory;
+
+    const acceptedDates = accepted.map(item => item.date);
+    const merged = [
+      ...(goalHistory || []).filter(item => !acceptedDates.includes(item.date)),
+      ...accepted
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    // 最も新しい目標を「現在」とする
+    return merged.map((item, index) => ({ ...item, current: index === merged.length - 1 }));
+  }
+};
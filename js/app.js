@@ -3,19 +3,72 @@
  */
 
 const App = {
-  // 現在のデータソース（デフォルトでGoogleスプレッドシート）
+  // 現在のデータソース（DataSources のアダプタID、デフォルトでGoogleスプレッドシート）
   dataSource: 'sheets',
 
   // 現在のデータ
   currentData: null,
   chartData: null,
 
+  // 読み込み元から取得したままのデータ（手入力分をマージする前）
+  baseData: null,
+
+  // 食事モーダルで編集中の1日分（{ date, notes, meals, dirty, edited }）
+  mealEditor: null,
+
+  // レシピの編集フォームの下書き
+  recipeDraft: null,
+
+  // 食事テンプレートの編集フォームの下書き
+  templateDraft: null,
+
+  // 編集中の食事プラン（{ date, items }）
+  planDraft: null,
+
+  // 入力中のトレーニング記録（{ date, exercises, calories }）
+  trainingDraft: null,
+
+  // 読み込み前のCSV（{ name, encoding, delimiter, rows, mapping }）
+  csvImport: null,
+
+  // Inputシート・CSVの列に割り当てる項目の表示名
+  inputFieldLabels: {
+    date: '日付',
+    weight: '体重',
+    waist: '腹囲',
+    steps: '歩数',
+    calories_intake: '摂取カロリー',
+    protein: 'P（タンパク質）',
+    fat: 'F（脂質）',
+    carbs: 'C（炭水化物）',
+    body_fat: '体脂肪率',
+    notes: 'メモ',
+    custom: 'カスタム指標',
+    ignore: '読み込まない'
+  },
+
+  // 食事区分の表示名とアイコン
+  mealTypeInfo: {
+    breakfast: { name: '朝食', icon: '🌅', color: '#4ade80' },
+    lunch: { name: '昼食', icon: '☀️', color: '#60a5fa' },
+    snack: { name: '間食', icon: '🍪', color: '#fbbf24' },
+    dinner: { name: '夕食', icon: '🌙', color: '#f87171' },
+    exercise: { name: '筋トレ', icon: '💪', isExercise: true }
+  },
+
+  // 現在表示中のカロリー調整提案
+  currentRecommendation: null,
+
+  // 表示期間（URLのクエリに保存）
+  dateRange: { preset: 'all', from: null, to: null },
+
   /**
    * アプリケーションを初期化
    */
   async init() {
     dayjs.locale('ja');
     this.initTheme();
+    this.loadDateRangeFromUrl();
     this.setupEventListeners();
     this.loadSavedConfig();
     await this.loadData();
@@ -57,9 +110,10 @@ const App = {
       themeToggle.addEventListener('click', () => this.toggleTheme());
     }
 
-    // データソース切り替え
+    // データソース切り替え（登録済みのアダプタから選択肢を作成）
     const dataSourceSelect = document.getElementById('dataSource');
     if (dataSourceSelect) {
+      this.renderDataSourceOptions();
       dataSourceSelect.addEventListener('change', (e) => this.handleDataSourceChange(e.target.value));
     }
 
@@ -69,6 +123,92 @@ const App = {
       loadSheetsBtn.addEventListener('click', () => this.loadFromSheets());
     }
 
+    // 表示期間の切り替え
+    const dateRangeSelect = document.getElementById('dateRange');
+    if (dateRangeSelect) {
+      dateRangeSelect.value = this.dateRange.preset;
+      dateRangeSelect.addEventListener('change', (e) => this.handleDateRangeChange(e.target.value));
+    }
+    ['rangeFrom', 'rangeTo'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.handleDateRangeChange('custom'));
+      }
+    });
+
+    // 今日の食事を開く
+    const editTodayMealsBtn = document.getElementById('editTodayMeals');
+    if (editTodayMealsBtn) {
+      editTodayMealsBtn.addEventListener('click', () => {
+        if (this.currentData) this.showMealModal(dayjs().format('YYYY-MM-DD'));
+      });
+    }
+
+    // 今日の記録フォーム
+    const entryForm = document.getElementById('entryForm');
+    const copyBreakfastBtn = document.getElementById('copyPreviousBreakfast');
+    if (copyBreakfastBtn) {
+      copyBreakfastBtn.addEventListener('click', () => this.copyPreviousBreakfast());
+    }
+    if (entryForm) {
+      this.resetEntryForm();
+      entryForm.addEventListener('submit', (e) => this.saveEntry(e));
+      entryForm.addEventListener('reset', () => {
+        setTimeout(() => {
+          entryForm.elements.date.value = dayjs().format('YYYY-MM-DD');
+          this.setEntryStatus('');
+        }, 0);
+      });
+    }
+
+    // 採寸フォーム
+    const measurementForm = document.getElementById('measurementForm');
+    if (measurementForm) {
+      measurementForm.elements.date.value = dayjs().format('YYYY-MM-DD');
+      measurementForm.addEventListener('submit', (e) => this.saveMeasurement(e));
+      measurementForm.elements.date.addEventListener('change', () => this.loadMeasurementForm(measurementForm.elements.date.value));
+      document.getElementById('deleteMeasurement').addEventListener('click', () => this.deleteMeasurement(measurementForm.elements.date.value));
+    }
+
+    // 消費カロリーの計算方法
+    const saveEnergyModelBtn = document.getElementById('saveEnergyModel');
+    if (saveEnergyModelBtn) {
+      saveEnergyModelBtn.addEventListener('click', () => this.saveEnergyModel());
+    }
+
+    // Inputシートの列設定を保存
+    const saveMappingBtn = document.getElementById('saveColumnMapping');
+    if (saveMappingBtn) {
+      saveMappingBtn.addEventListener('click', () => this.saveColumnMapping());
+    }
+
+    // CSVの読み込み（ファイル選択・ドロップ）と書き出し
+    const csvDrop = document.getElementById('csvDrop');
+    if (csvDrop) {
+      document.getElementById('csvFile').addEventListener('change', (e) => {
+        if (e.target.files[0]) this.readCsvFile(e.target.files[0]);
+        e.target.value = '';
+      });
+      csvDrop.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        csvDrop.classList.add('dragging');
+      });
+      csvDrop.addEventListener('dragleave', () => csvDrop.classList.remove('dragging'));
+      csvDrop.addEventListener('drop', (e) => {
+        e.preventDefault();
+        csvDrop.classList.remove('dragging');
+        if (e.dataTransfer.files[0]) this.readCsvFile(e.dataTransfer.files[0]);
+      });
+
+      const csvPreview = document.getElementById('csvPreview');
+      csvPreview.addEventListener('change', (e) => this.handleCsvMappingChange(e.target));
+      csvPreview.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) this.handleCsvAction(button);
+      });
+      document.getElementById('exportCsv').addEventListener('click', () => this.exportCsv());
+    }
+
     // モーダル関連
     const modalOverlay = document.querySelector('.modal-overlay');
     const modalClose = document.querySelector('.modal-close');
@@ -79,6 +219,79 @@ const App = {
       modalClose.addEventListener('click', () => this.closeModal());
     }
 
+    // 食事エディタ（モーダル内は再描画されるので委譲で受ける）
+    const mealDetails = document.getElementById('mealDetails');
+    if (mealDetails) {
+      mealDetails.addEventListener('input', (e) => {
+        if (e.target.dataset.field && e.target.dataset.field !== 'type') this.handleMealEditorInput(e.target);
+      });
+      mealDetails.addEventListener('change', (e) => {
+        if (e.target.dataset.field === 'type') this.handleMealEditorInput(e.target);
+        if (e.target.dataset.field === 'name') this.applyFoodToItem(e.target);
+        if (e.target.dataset.templateType) this.applyTemplateToEditor(e.target);
+      });
+      mealDetails.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) this.handleMealEditorAction(button);
+      });
+    }
+
+    // レシピ
+    const recipePanel = document.getElementById('recipePanel');
+    if (recipePanel) {
+      recipePanel.addEventListener('input', (e) => this.handleRecipeInput(e.target));
+      recipePanel.addEventListener('change', (e) => {
+        if (e.target.dataset.ingredientField === 'name') this.applyFoodToIngredient(e.target);
+      });
+      recipePanel.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) this.handleRecipeAction(button);
+      });
+    }
+
+    // 食事プラン
+    const plannerPanel = document.getElementById('plannerPanel');
+    if (plannerPanel) {
+      plannerPanel.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button && this.planDraft) this.handlePlannerAction(button);
+      });
+      plannerPanel.addEventListener('change', (e) => {
+        if (this.planDraft) this.handlePlannerChange(e.target);
+      });
+      plannerPanel.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.id === 'planFoodInput') {
+          e.preventDefault();
+          document.querySelector('#plannerPanel [data-action="add-plan-food"]').click();
+        }
+      });
+    }
+
+    // トレーニング記録
+    const trainingPanel = document.getElementById('trainingPanel');
+    if (trainingPanel) {
+      trainingPanel.addEventListener('input', (e) => this.handleTrainingInput(e.target));
+      trainingPanel.addEventListener('change', (e) => this.handleTrainingChange(e.target));
+      trainingPanel.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button && this.trainingDraft) this.handleTrainingAction(button);
+      });
+    }
+
+    // 食事テンプレート
+    const templatePanel = document.getElementById('templatePanel');
+    if (templatePanel) {
+      templatePanel.addEventListener('input', (e) => this.handleTemplateInput(e.target));
+      templatePanel.addEventListener('change', (e) => {
+        if (e.target.dataset.templateField === 'mealType') this.handleTemplateInput(e.target);
+        if (e.target.dataset.templateItem === 'name') this.applyFoodToTemplateItem(e.target);
+      });
+      templatePanel.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) this.handleTemplateAction(button);
+      });
+    }
+
     // ESCキーでモーダルを閉じる
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -95,6 +308,96 @@ const App = {
     });
   },
 
+  /**
+   * URLのクエリから表示期間を読み込み（?range=30d / ?range=custom&from=...&to=...）
+   */
+  loadDateRangeFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const preset = params.get('range');
+    if (preset && DataManager.dateRangePresets[preset]) {
+      this.dateRange = {
+        preset,
+        from: params.get('from'),
+        to: params.get('to')
+      };
+    }
+  },
+
+  /**
+   * 表示期間をURLのクエリに保存（ブックマーク用）
+   */
+  saveDateRangeToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('from');
+    params.delete('to');
+    if (this.dateRange.preset === 'all') {
+      params.delete('range');
+    } else {
+      params.set('range', this.dateRange.preset);
+      if (this.dateRange.preset === 'custom') {
+        if (this.dateRange.from) params.set('from', this.dateRange.from);
+        if (this.dateRange.to) params.set('to', this.dateRange.to);
+      }
+    }
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  },
+
+  /**
+   * 表示期間の変更を処理
+   */
+  handleDateRangeChange(preset) {
+    const from = document.getElementById('rangeFrom');
+    const to = document.getElementById('rangeTo');
+    this.dateRange = {
+      preset,
+      from: preset === 'custom' && from ? from.value || null : null,
+      to: preset === 'custom' && to ? to.value || null : null
+    };
+
+    const select = document.getElementById('dateRange');
+    if (select) select.value = preset;
+
+    this.saveDateRangeToUrl();
+    if (this.currentData) {
+      this.renderDashboard(this.currentData);
+    }
+  },
+
+  /**
+   * 表示期間の入力欄と見出しを更新
+   */
+  updateDateRangeControls(range) {
+    const isCustom = this.dateRange.preset === 'custom';
+    const customEl = document.getElementById('customRange');
+    if (customEl) {
+      customEl.classList.toggle('hidden', !isCustom);
+    }
+
+    // カスタム以外でも実際の期間を入力欄に反映しておく
+    const from = document.getElementById('rangeFrom');
+    const to = document.getElementById('rangeTo');
+    if (from && range && range.from) from.value = range.from;
+    if (to && range && range.to) to.value = range.to;
+
+    const label = this.getDateRangeLabel(range);
+    const avgLabel = document.getElementById('avgCaloriesLabel');
+    if (avgLabel) avgLabel.textContent = `${label}の平均カロリー`;
+    const pfcTitle = document.getElementById('pfcChartTitle');
+    if (pfcTitle) pfcTitle.textContent = `PFCバランス（${label}の平均）`;
+  },
+
+  /**
+   * 表示期間の表示名を取得
+   */
+  getDateRangeLabel(range) {
+    if (this.dateRange.preset === 'custom' && range && range.from && range.to) {
+      return `${dayjs(range.from).format('M/D')}〜${dayjs(range.to).format('M/D')}`;
+    }
+    const preset = DataManager.dateRangePresets[this.dateRange.preset];
+    return preset ? preset.label : '全期間';
+  },
+
   /**
    * 保存された設定を読み込み
    */
@@ -112,19 +415,36 @@ const App = {
     }
   },
 
+  /**
+   * データソースの選択肢を登録済みのアダプタから作成
+   */
+  renderDataSourceOptions() {
+    const select = document.getElementById('dataSource');
+    if (!select) return;
+
+    select.innerHTML = DataSources.list().map(adapter => `
+      <option value="${adapter.id}" title="${this.escapeHtml(adapter.description || '')}" ${adapter.id === this.dataSource ? 'selected' : ''}>${this.escapeHtml(adapter.name)}</option>
+    `).join('');
+  },
+
   /**
    * データソースの変更を処理
    */
   handleDataSourceChange(source) {
+    const adapter = DataSources.get(source);
+    if (!adapter) return;
+
     this.dataSource = source;
     const configPanel = document.getElementById('sheetsConfig');
-
-    if (source === 'sheets') {
-      configPanel.classList.remove('hidden');
-    } else {
-      configPanel.classList.add('hidden');
-      this.loadData();
+    if (configPanel) {
+      configPanel.classList.toggle('hidden', !adapter.capabilities.remote);
+    }
+    // ファイルを読み込むデータソースは読み込みパネルを開く
+    const csvPanel = document.getElementById('csvPanel');
+    if (csvPanel && adapter.capabilities.file) {
+      csvPanel.open = true;
     }
+    this.loadData();
   },
 
   /**
@@ -134,18 +454,32 @@ const App = {
     try {
       this.showLoading(true);
 
-      let data;
-      if (this.dataSource === 'local') {
-        data = await DataManager.loadLocalData();
+      const data = await DataSources.load(this.dataSource);
+
+      // 提案から採用した目標を目標変更履歴に反映
+      data.goal_history = CalorieAdvisor.mergeAcceptedGoals(data.goal_history || DataManager.getGoalHistory());
+
+      this.baseData = data;
+      this.currentData = await this.mergeBrowserData(data);
+      await FoodCatalog.load(this.currentData.meals);
+      await RecipeBook.load();
+      this.renderRecipePanel();
+      await MealTemplates.load();
+      this.renderTemplatePanel();
+      await MealPlanner.load();
+      this.renderPlanner();
+      await TrainingLog.load(this.currentData.meals, this.currentData.daily_log);
+      this.renderTrainingPanel();
+      this.renderDashboard(this.currentData);
+      this.updateColumnMappingPanel();
+      this.updateEnergyModelPanel();
+      // ブラウザ内の記録を開けなかった場合は、読み込んだデータだけで表示して理由を知らせる
+      if (LocalStore.openError) {
+        this.showError(LocalStore.openError.message);
       } else {
-        // Google Sheetsから直接読み込み（APIキー不要）
-        data = await DataManager.loadFromGoogleSheets();
+        this.hideError();
       }
 
-      this.currentData = data;
-      this.renderDashboard(data);
-      this.hideError();
-
     } catch (error) {
       console.error('データの読み込みに失敗しました:', error);
       this.showError(`データの読み込みに失敗しました: ${error.message}`);
@@ -155,47 +489,1645 @@ const App = {
   },
 
   /**
-   * Google Sheetsからデータを読み込み
+   * IndexedDB に保存した手入力の記録を読み込んだデータにマージ
    */
-  async loadFromSheets() {
-    this.dataSource = 'sheets';
-    await this.loadData();
+  async mergeBrowserData(data) {
+    let entries = [];
+    let mealEdits = [];
+    let measurements = [];
+    try {
+      entries = await LocalStore.getAll('dailyEntries');
+      mealEdits = await LocalStore.getAll('mealEdits');
+      measurements = await LocalStore.getAll('measurements');
+    } catch (error) {
+      console.log('手入力の記録を読み込めませんでした:', error);
+    }
+
+    const dailyLog = DataManager.mergeDailyEntries(data.daily_log, entries, this.dataSource);
+    return {
+      ...data,
+      // 手入力の採寸はシートの腹囲・週ごとの採寸より優先するため別に持つ
+      browser_measurements: measurements,
+      ...DataManager.applyMealEdits(data.meals, data.meal_sources, dailyLog, mealEdits)
+    };
   },
 
   /**
-   * ダッシュボードを描画
+   * 手入力の記録を反映し直して再描画（再取得はしない）
    */
-  renderDashboard(data) {
-    const settings = data.settings || DataManager.getDefaultSettings();
-    this.chartData = DataManager.prepareChartData(data, settings);
+  async refreshBrowserData() {
+    if (!this.baseData) return;
+    this.currentData = await this.mergeBrowserData(this.baseData);
+    await TrainingLog.load(this.currentData.meals, this.currentData.daily_log);
+    this.renderTrainingPanel();
+    this.renderDashboard(this.currentData);
+  },
 
-    // 計画セクションを更新
-    this.updatePlanSection(this.chartData.plan, settings);
+  /**
+   * 「今日の記録」フォームを初期化
+   */
+  resetEntryForm() {
+    const form = document.getElementById('entryForm');
+    if (!form) return;
+    form.reset();
+    form.elements.date.value = dayjs().format('YYYY-MM-DD');
+    this.setEntryStatus('');
+  },
 
-    // 目標変更履歴を更新
-    this.updateGoalHistory(data.goal_history);
+  /**
+   * 「今日の記録」フォームの状態メッセージを表示
+   */
+  setEntryStatus(message, isError = false) {
+    const statusEl = document.getElementById('entryStatus');
+    if (statusEl) {
+      statusEl.textContent = message;
+      statusEl.className = `entry-status ${isError ? 'error' : ''}`;
+    }
+  },
 
-    // サマリーカードを更新
-    this.updateSummaryCards(this.chartData, settings);
+  /**
+   * 「今日の記録」フォームの内容を IndexedDB に保存
+   */
+  async saveEntry(event) {
+    event.preventDefault();
+    const form = event.target;
+    const date = form.elements.date.value;
+    if (!date) {
+      this.setEntryStatus('日付を入力してください', true);
+      return;
+    }
 
-    // グラフを描画
-    ChartManager.renderAllCharts(this.chartData);
+    const entry = {
+      date,
+      weight: DataManager.parseNum(form.elements.weight.value),
+      waist: DataManager.parseNum(form.elements.waist.value),
+      body_fat: DataManager.parseNum(form.elements.body_fat.value),
+      steps: DataManager.parseNum(form.elements.steps.value),
+      calories_intake: DataManager.parseNum(form.elements.calories_intake.value),
+      notes: form.elements.notes.value.trim(),
+      updated_at: new Date().toISOString()
+    };
 
-    // 日別考察を更新（mealsを渡してPFC計算に使用）
-    this.updateDailyInsights(this.chartData.recentLogs, settings, this.chartData.meals);
+    const hasValue = ['weight', 'waist', 'body_fat', 'steps', 'calories_intake'].some(f => entry[f] !== null) || entry.notes;
+    if (!hasValue) {
+      this.setEntryStatus('記録する項目を1つ以上入力してください', true);
+      return;
+    }
 
-    // テーブルを更新
-    this.updateRecentLogsTable(this.chartData.recentLogs, settings, this.chartData.meals);
+    try {
+      await LocalStore.put('dailyEntries', entry);
+      await this.refreshBrowserData();
+      this.resetEntryForm();
+      this.setEntryStatus(`${dayjs(date).format('M/D')} の記録を保存しました`);
+    } catch (error) {
+      console.error('記録の保存に失敗しました:', error);
+      this.setEntryStatus(`保存に失敗しました: ${error.message}`, true);
+    }
+  },
 
-    // データ不足警告をチェック
-    this.checkDataCompleteness(this.chartData.recentLogs, this.chartData.meals);
+  /**
+   * 手入力の記録をフォームに読み込んで編集
+   */
+  async editEntry(date) {
+    const form = document.getElementById('entryForm');
+    if (!form) return;
+
+    // 食事の編集だけで作られた行は表示中の値をフォームに入れる
+    const entry = await LocalStore.get('dailyEntries', date)
+      || (this.currentData.daily_log || []).find(log => log.date === date);
+    if (!entry) return;
+
+    form.elements.date.value = entry.date;
+    form.elements.weight.value = entry.weight ?? '';
+    form.elements.waist.value = entry.waist ?? '';
+    form.elements.body_fat.value = entry.body_fat ?? '';
+    form.elements.steps.value = entry.steps ?? '';
+    form.elements.calories_intake.value = entry.calories_intake ?? '';
+    form.elements.notes.value = entry.notes || '';
+    this.setEntryStatus(`${dayjs(date).format('M/D')} の記録を編集中`);
+    form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  },
+
+  /**
+   * 手入力の記録を削除
+   */
+  async deleteEntry(date) {
+    if (!confirm(`${dayjs(date).format('M/D')} の手入力の記録を削除しますか？`)) return;
+
+    try {
+      await LocalStore.delete('dailyEntries', date);
+      await this.refreshBrowserData();
+    } catch (error) {
+      console.error('記録の削除に失敗しました:', error);
+      this.showError(`記録の削除に失敗しました: ${error.message}`);
+    }
+  },
+
+  /**
+   * 空のレシピ下書きを作成
+   */
+  createRecipeDraft() {
+    return {
+      name: '',
+      cookedWeight: null,
+      servingWeight: null,
+      since: dayjs().format('YYYY-MM-DD'),
+      ingredients: [{ name: '', calories: 0, protein: 0, fat: 0, carbs: 0 }]
+    };
+  },
+
+  /**
+   * レシピ一覧と編集フォームを描画
+   */
+  renderRecipePanel() {
+    const listEl = document.getElementById('recipeList');
+    if (!listEl) return;
+
+    const names = Object.keys(RecipeBook.recipes).sort();
+    listEl.innerHTML = names.length === 0
+      ? '<p class="empty-state">レシピはまだありません</p>'
+      : names.map(name => {
+        const latest = RecipeBook.getLatestVersion(name);
+        const per100 = this.roundNutrients(latest.per100);
+        return `
+          <div class="recipe-row">
+            <span class="recipe-name">${this.escapeHtml(name)} <span class="recipe-version">v${latest.version}（${DataManager.formatDate(latest.since)}〜）</span></span>
+            <span class="recipe-nutrients">100gあたり ${per100.calories}kcal / P${per100.protein} F${per100.fat} C${per100.carbs}・出来上がり${latest.cookedWeight}g</span>
+            <span class="row-actions">
+              <button type="button" class="row-action" data-action="edit-recipe" data-name="${this.escapeHtml(name)}" aria-label="編集">✏️</button>
+              <button type="button" class="row-action" data-action="delete-recipe" data-name="${this.escapeHtml(name)}" aria-label="削除">🗑️</button>
+            </span>
+          </div>
+        `;
+      }).join('');
+
+    if (!this.recipeDraft) {
+      this.recipeDraft = this.createRecipeDraft();
+    }
+    this.renderRecipeForm();
+  },
+
+  /**
+   * 栄養値を表示用に丸める（kcalは整数、PFCは小数1桁）
+   */
+  roundNutrients(nutrients) {
+    return {
+      calories: Math.round(nutrients.calories),
+      protein: Math.round(nutrients.protein * 10) / 10,
+      fat: Math.round(nutrients.fat * 10) / 10,
+      carbs: Math.round(nutrients.carbs * 10) / 10
+    };
+  },
+
+  /**
+   * レシピの編集フォームを描画
+   */
+  renderRecipeForm() {
+    const formEl = document.getElementById('recipeForm');
+    const draft = this.recipeDraft;
+    if (!formEl || !draft) return;
+
+    formEl.innerHTML = `
+      <datalist id="recipeFoodSuggestions">${FoodCatalog.getSuggestions(draft.since)
+        .filter(food => !food.recipe)
+        .map(food => `<option value="${this.escapeHtml(food.name)}" label="${this.escapeHtml(`${FoodCatalog.formatBase(food)} ${food.calories}kcal`)}"></option>`)
+        .join('')}</datalist>
+      <div class="recipe-form-fields">
+        <div class="form-group">
+          <label>レシピ名</label>
+          <input type="text" data-recipe-field="name" value="${this.escapeHtml(draft.name)}" placeholder="筋肉のそぼろ（調理済み）">
+        </div>
+        <div class="form-group">
+          <label>出来上がりの重さ (g)</label>
+          <input type="number" data-recipe-field="cookedWeight" step="1" min="0" value="${draft.cookedWeight ?? ''}">
+        </div>
+        <div class="form-group">
+          <label>1食の量 (g)</label>
+          <input type="number" data-recipe-field="servingWeight" step="1" min="0" value="${draft.servingWeight ?? ''}" placeholder="${RecipeBook.defaultServingWeight}">
+        </div>
+        <div class="form-group">
+          <label>使い始める日</label>
+          <input type="date" data-recipe-field="since" value="${draft.since}">
+        </div>
+      </div>
+      <ul class="meal-items-list meal-edit-list">
+        ${draft.ingredients.map((item, index) => `
+          <li class="meal-item meal-edit-row" data-index="${index}">
+            <input type="text" class="meal-edit-name" data-ingredient-field="name" value="${this.escapeHtml(item.name)}" list="recipeFoodSuggestions" placeholder="材料 量（例: 鶏ひき肉 500g）" aria-label="材料">
+            <span class="meal-item-nutrition">
+              <input type="number" data-ingredient-field="calories" step="1" value="${item.calories ?? ''}" aria-label="kcal" title="kcal">
+              <input type="number" data-ingredient-field="protein" step="0.1" value="${item.protein ?? ''}" aria-label="P" title="P (g)">
+              <input type="number" data-ingredient-field="fat" step="0.1" value="${item.fat ?? ''}" aria-label="F" title="F (g)">
+              <input type="number" data-ingredient-field="carbs" step="0.1" value="${item.carbs ?? ''}" aria-label="C" title="C (g)">
+            </span>
+            <button type="button" class="row-action" data-action="delete-ingredient" aria-label="削除">🗑️</button>
+          </li>
+        `).join('')}
+      </ul>
+      <button type="button" class="meal-add-item" data-action="add-ingredient">＋ 材料を追加</button>
+      <p class="recipe-per100" id="recipePer100"></p>
+      <div class="meal-editor-actions">
+        <button type="button" class="btn-primary" data-action="save-recipe">${RecipeBook.recipes[RecipeBook.normalizeName(draft.name)] ? '新しいバージョンとして保存' : '保存'}</button>
+        <button type="button" class="btn-secondary" data-action="new-recipe">新規</button>
+        <span id="recipeStatus" class="entry-status"></span>
+      </div>
+    `;
+    this.updateRecipeSummary();
+  },
+
+  /**
+   * 材料の合計から100gあたりの栄養値を表示
+   */
+  updateRecipeSummary() {
+    const summaryEl = document.getElementById('recipePer100');
+    if (!summaryEl) return;
+
+    const result = RecipeBook.calculateNutrients(this.recipeDraft.ingredients, this.recipeDraft.cookedWeight);
+    const per100 = result ? this.roundNutrients(result.per100) : null;
+    summaryEl.textContent = result
+      ? `材料の合計 ${Math.round(result.total.calories).toLocaleString()}kcal → 100gあたり ${per100.calories}kcal / P${per100.protein} F${per100.fat} C${per100.carbs}`
+      : '出来上がりの重さを入力すると100gあたりの栄養値を計算します';
+  },
+
+  /**
+   * レシピフォームの入力を反映
+   */
+  handleRecipeInput(target) {
+    const draft = this.recipeDraft;
+    if (!draft) return;
+
+    const recipeField = target.dataset.recipeField;
+    if (recipeField) {
+      draft[recipeField] = recipeField === 'name' || recipeField === 'since'
+        ? target.value
+        : DataManager.parseNum(target.value);
+      this.updateRecipeSummary();
+      return;
+    }
+
+    const row = target.closest('.meal-edit-row');
+    const field = target.dataset.ingredientField;
+    if (!row || !field) return;
+
+    const item = draft.ingredients[Number(row.dataset.index)];
+    item[field] = field === 'name' ? target.value : (DataManager.parseNum(target.value) || 0);
+    this.updateRecipeSummary();
+  },
+
+  /**
+   * 材料名が食品データベースにあれば量に合わせて栄養値を入力
+   */
+  applyFoodToIngredient(input) {
+    const row = input.closest('.meal-edit-row');
+    if (!row || !this.recipeDraft) return;
+
+    const resolved = FoodCatalog.resolve(input.value, this.recipeDraft.since);
+    if (!resolved) return;
+
+    Object.assign(this.recipeDraft.ingredients[Number(row.dataset.index)], resolved);
+    input.value = resolved.name;
+    ['calories', 'protein', 'fat', 'carbs'].forEach(field => {
+      row.querySelector(`[data-ingredient-field="${field}"]`).value = resolved[field];
+    });
+    this.updateRecipeSummary();
+  },
+
+  /**
+   * レシピパネルのボタン操作
+   */
+  async handleRecipeAction(button) {
+    const draft = this.recipeDraft;
+
+    switch (button.dataset.action) {
+      case 'add-ingredient':
+        draft.ingredients.push({ name: '', calories: 0, protein: 0, fat: 0, carbs: 0 });
+        this.renderRecipeForm();
+        break;
+      case 'delete-ingredient':
+        draft.ingredients.splice(Number(button.closest('.meal-edit-row').dataset.index), 1);
+        this.renderRecipeForm();
+        break;
+      case 'new-recipe':
+        this.recipeDraft = this.createRecipeDraft();
+        this.renderRecipeForm();
+        break;
+      case 'edit-recipe': {
+        // 最新のバージョンを元に、今日から使う新しいバージョンを作る
+        const latest = RecipeBook.getLatestVersion(button.dataset.name);
+        this.recipeDraft = {
+          name: button.dataset.name,
+          cookedWeight: latest.cookedWeight,
+          servingWeight: latest.servingWeight,
+          since: dayjs().format('YYYY-MM-DD'),
+          ingredients: latest.ingredients.map(item => ({ ...item }))
+        };
+        this.renderRecipeForm();
+        break;
+      }
+      case 'delete-recipe':
+        if (!confirm(`レシピ「${button.dataset.name}」を全バージョン削除しますか？（記録済みの食事は変わりません）`)) return;
+        try {
+          await RecipeBook.delete(button.dataset.name);
+          this.renderRecipePanel();
+        } catch (error) {
+          console.error('レシピの削除に失敗しました:', error);
+          this.showError(`レシピの削除に失敗しました: ${error.message}`);
+        }
+        break;
+      case 'save-recipe':
+        try {
+          const ingredients = draft.ingredients.filter(item => item.name.trim() || item.calories);
+          const saved = await RecipeBook.saveVersion({ ...draft, ingredients }, draft.since);
+          this.recipeDraft = this.createRecipeDraft();
+          this.renderRecipePanel();
+          document.getElementById('recipeStatus').textContent =
+            `「${saved.name}」v${saved.versions.length} を保存しました`;
+        } catch (error) {
+          const statusEl = document.getElementById('recipeStatus');
+          statusEl.textContent = error.message;
+          statusEl.classList.add('error');
+        }
+        break;
+    }
+  },
+
+  /**
+   * 1日分の食事の1区分を丸ごと書き込んで保存（他の区分はそのまま）
+   * 食事の詳細で1日分を編集した日でなければ区分単位の編集（types）として保存し、
+   * 他の区分は後からシートに追加された分も含めて読み込んだ内容を使う
+   */
+  async writeMealBlock(date, mealType, items) {
+    const existing = await LocalStore.get('mealEdits', date);
+    const copied = items.map(item => ({ ...item }));
+    const edit = existing && !existing.types
+      ? { ...existing, meals: { ...existing.meals, [mealType]: copied } }
+      : {
+        date,
+        types: [...new Set([...(existing ? existing.types : []), mealType])],
+        meals: { ...(existing ? existing.meals : {}), [mealType]: copied }
+      };
+
+    await LocalStore.put('mealEdits', { ...edit, updated_at: new Date().toISOString() });
+    await this.refreshBrowserData();
+  },
+
+  /**
+   * 「今日の記録」の日付に前日の朝食をコピー
+   */
+  async copyPreviousBreakfast() {
+    const form = document.getElementById('entryForm');
+    const date = form.elements.date.value;
+    if (!this.currentData || !date) return;
+
+    const items = MealTemplates.getPreviousDayItems(this.currentData.meals, date, 'breakfast');
+    if (items.length === 0) {
+      this.setEntryStatus('前日の朝食の記録がありません', true);
+      return;
+    }
+
+    try {
+      await this.writeMealBlock(date, 'breakfast', items);
+      const totals = MealTemplates.calculateTotals(items);
+      this.setEntryStatus(`${dayjs(date).format('M/D')} の朝食に前日の${items.length}品目（${Math.round(totals.calories)}kcal）をコピーしました`);
+    } catch (error) {
+      console.error('朝食のコピーに失敗しました:', error);
+      this.setEntryStatus(`コピーに失敗しました: ${error.message}`, true);
+    }
+  },
+
+  /**
+   * 食事テンプレートの一覧と編集フォームを描画
+   */
+  renderTemplatePanel() {
+    const listEl = document.getElementById('templateList');
+    if (!listEl) return;
+
+    const templates = MealTemplates.templates;
+    listEl.innerHTML = templates.length === 0
+      ? '<p class="empty-state">テンプレートはまだありません（食事の詳細から「テンプレートに保存」で作成できます）</p>'
+      : templates.map(template => {
+        const totals = MealTemplates.calculateTotals(template.items);
+        const typeInfo = this.mealTypeInfo[template.mealType];
+        return `
+          <div class="recipe-row">
+            <span class="recipe-name">${typeInfo ? typeInfo.icon : ''} ${this.escapeHtml(template.name)} <span class="recipe-version">${template.items.length}品目</span></span>
+            <span class="recipe-nutrients">${Math.round(totals.calories).toLocaleString()}kcal ${this.formatPfcHtml(totals.protein, totals.fat, totals.carbs)}</span>
+            <span class="row-actions">
+              <button type="button" class="row-action" data-action="edit-template" data-id="${template.id}" aria-label="編集">✏️</button>
+              <button type="button" class="row-action" data-action="delete-template" data-id="${template.id}" aria-label="削除">🗑️</button>
+            </span>
+          </div>
+        `;
+      }).join('');
+
+    this.renderTemplateForm();
+  },
+
+  /**
+   * テンプレートの編集フォームを描画（編集中のときだけ表示）
+   */
+  renderTemplateForm() {
+    const formEl = document.getElementById('templateForm');
+    if (!formEl) return;
+
+    const draft = this.templateDraft;
+    if (!draft) {
+      formEl.innerHTML = '<button type="button" class="meal-add-item" data-action="new-template">＋ 新しいテンプレート</button>';
+      return;
+    }
+
+    const typeOptions = Object.keys(this.mealTypeInfo)
+      .filter(type => !this.mealTypeInfo[type].isExercise)
+      .map(type => `<option value="${type}" ${type === draft.mealType ? 'selected' : ''}>${this.mealTypeInfo[type].name}</option>`)
+      .join('');
+
+    formEl.innerHTML = `
+      <div class="recipe-form-fields">
+        <div class="form-group">
+          <label>テンプレート名</label>
+          <input type="text" data-template-field="name" value="${this.escapeHtml(draft.name)}" placeholder="いつもの朝食">
+        </div>
+        <div class="form-group">
+          <label>食事区分</label>
+          <select data-template-field="mealType">${typeOptions}</select>
+        </div>
+      </div>
+      <ul class="meal-items-list meal-edit-list">
+        ${draft.items.map((item, index) => `
+          <li class="meal-item meal-edit-row" data-index="${index}">
+            <input type="text" class="meal-edit-name" data-template-item="name" value="${this.escapeHtml(item.name)}" list="templateFoodSuggestions" placeholder="品目名 量" aria-label="品目名">
+            <span class="meal-item-nutrition">
+              <input type="number" data-template-item="calories" step="1" value="${item.calories ?? ''}" aria-label="kcal" title="kcal">
+              <input type="number" data-template-item="protein" step="0.1" value="${item.protein ?? ''}" aria-label="P" title="P (g)">
+              <input type="number" data-template-item="fat" step="0.1" value="${item.fat ?? ''}" aria-label="F" title="F (g)">
+              <input type="number" data-template-item="carbs" step="0.1" value="${item.carbs ?? ''}" aria-label="C" title="C (g)">
+            </span>
+            <button type="button" class="row-action" data-action="delete-template-item" aria-label="削除">🗑️</button>
+          </li>
+        `).join('')}
+      </ul>
+      <datalist id="templateFoodSuggestions">${FoodCatalog.getSuggestions(dayjs().format('YYYY-MM-DD'))
+        .map(food => `<option value="${this.escapeHtml(food.name)}" label="${this.escapeHtml(`${FoodCatalog.formatBase(food)} ${Math.round(food.calories)}kcal`)}"></option>`)
+        .join('')}</datalist>
+      <button type="button" class="meal-add-item" data-action="add-template-item">＋ 品目を追加</button>
+      <p class="recipe-per100" id="templateTotals"></p>
+      <div class="meal-editor-actions">
+        <button type="button" class="btn-primary" data-action="save-template-draft">保存</button>
+        <button type="button" class="btn-secondary" data-action="cancel-template">キャンセル</button>
+        <span id="templateStatus" class="entry-status"></span>
+      </div>
+    `;
+    this.updateTemplateTotals();
+  },
+
+  /**
+   * 編集中のテンプレートの合計を表示
+   */
+  updateTemplateTotals() {
+    const totalsEl = document.getElementById('templateTotals');
+    if (!totalsEl || !this.templateDraft) return;
+
+    const totals = MealTemplates.calculateTotals(this.templateDraft.items);
+    totalsEl.innerHTML = `合計 ${Math.round(totals.calories).toLocaleString()}kcal ${this.formatPfcHtml(totals.protein, totals.fat, totals.carbs)}`;
+  },
+
+  /**
+   * テンプレートフォームの入力を反映
+   */
+  handleTemplateInput(target) {
+    const draft = this.templateDraft;
+    if (!draft) return;
+
+    if (target.dataset.templateField) {
+      draft[target.dataset.templateField] = target.value;
+      return;
+    }
+
+    const row = target.closest('.meal-edit-row');
+    const field = target.dataset.templateItem;
+    if (!row || !field) return;
+
+    const item = draft.items[Number(row.dataset.index)];
+    item[field] = field === 'name' ? target.value : (DataManager.parseNum(target.value) || 0);
+    this.updateTemplateTotals();
+  },
+
+  /**
+   * テンプレートの品目名が食品データベースにあれば栄養値を入力
+   */
+  applyFoodToTemplateItem(input) {
+    const row = input.closest('.meal-edit-row');
+    if (!row || !this.templateDraft) return;
+
+    const resolved = FoodCatalog.resolve(input.value, dayjs().format('YYYY-MM-DD'));
+    if (!resolved) return;
+
+    Object.assign(this.templateDraft.items[Number(row.dataset.index)], resolved);
+    input.value = resolved.name;
+    ['calories', 'protein', 'fat', 'carbs'].forEach(field => {
+      row.querySelector(`[data-template-item="${field}"]`).value = resolved[field];
+    });
+    this.updateTemplateTotals();
+  },
+
+  /**
+   * テンプレートパネルのボタン操作
+   */
+  async handleTemplateAction(button) {
+    const draft = this.templateDraft;
+
+    switch (button.dataset.action) {
+      case 'new-template':
+        this.templateDraft = { name: '', mealType: 'breakfast', items: [{ name: '', calories: 0, protein: 0, fat: 0, carbs: 0 }] };
+        this.renderTemplateForm();
+        break;
+      case 'edit-template': {
+        const template = MealTemplates.get(button.dataset.id);
+        this.templateDraft = { ...template, items: template.items.map(item => ({ ...item })) };
+        this.renderTemplateForm();
+        break;
+      }
+      case 'delete-template':
+        if (!confirm(`テンプレート「${MealTemplates.get(button.dataset.id).name}」を削除しますか？`)) return;
+        try {
+          await MealTemplates.delete(button.dataset.id);
+          this.renderTemplatePanel();
+        } catch (error) {
+          console.error('テンプレートの削除に失敗しました:', error);
+          this.showError(`テンプレートの削除に失敗しました: ${error.message}`);
+        }
+        break;
+      case 'add-template-item':
+        draft.items.push({ name: '', calories: 0, protein: 0, fat: 0, carbs: 0 });
+        this.renderTemplateForm();
+        break;
+      case 'delete-template-item':
+        draft.items.splice(Number(button.closest('.meal-edit-row').dataset.index), 1);
+        this.renderTemplateForm();
+        break;
+      case 'cancel-template':
+        this.templateDraft = null;
+        this.renderTemplateForm();
+        break;
+      case 'save-template-draft':
+        try {
+          await MealTemplates.save(draft);
+          this.templateDraft = null;
+          this.renderTemplatePanel();
+        } catch (error) {
+          const statusEl = document.getElementById('templateStatus');
+          statusEl.textContent = error.message;
+          statusEl.classList.add('error');
+        }
+        break;
+    }
+  },
+
+  /**
+   * 食事プランを描画（日付の指定がなければ翌日）
+   */
+  renderPlanner() {
+    const itemsEl = document.getElementById('planItems');
+    if (!itemsEl) return;
+
+    if (!this.planDraft) {
+      this.loadPlanDraft(dayjs().add(1, 'day').format('YYYY-MM-DD'));
+    }
+    const draft = this.planDraft;
+    document.getElementById('planDate').value = draft.date;
+
+    // 追加用の候補（食品・テンプレート）
+    document.getElementById('planFoodSuggestions').innerHTML = FoodCatalog.getSuggestions(draft.date)
+      .filter(food => food.unit)
+      .map(food => `<option value="${this.escapeHtml(food.name)}" label="${this.escapeHtml(`${FoodCatalog.formatBase(food)} ${Math.round(food.calories)}kcal`)}"></option>`)
+      .join('');
+    document.getElementById('planTemplate').innerHTML = '<option value="">テンプレートを追加…</option>'
+      + MealTemplates.templates.map(template => `<option value="${template.id}">${this.escapeHtml(template.name)}</option>`).join('');
+
+    itemsEl.innerHTML = draft.items.length === 0
+      ? '<p class="empty-state">食品かテンプレートを追加してください</p>'
+      : `<ul class="meal-items-list meal-edit-list">${draft.items.map((item, index) => {
+        const nutrients = MealPlanner.scaleItem(item);
+        const typeInfo = this.mealTypeInfo[item.mealType];
+        return `
+          <li class="meal-item meal-edit-row plan-item ${item.locked ? 'locked' : ''}" data-index="${index}">
+            <span class="plan-item-type" title="${typeInfo.name}">${typeInfo.icon}</span>
+            <span class="meal-item-name">${this.escapeHtml(item.name)}</span>
+            ${item.fixed
+              ? '<span class="plan-item-amount">固定</span>'
+              : `<span class="plan-item-amount"><input type="number" data-plan-field="amount" step="${item.step}" min="${item.step}" value="${item.amount}" aria-label="量">${this.escapeHtml(item.unit)}</span>`}
+            <label class="plan-item-lock" title="最適化で量を変えない"><input type="checkbox" data-plan-field="locked" ${item.locked ? 'checked' : ''} ${item.fixed ? 'disabled' : ''}>🔒</label>
+            <span class="meal-item-nutrition">
+              <span>${nutrients.calories}kcal</span>
+              <span>P${nutrients.protein}</span>
+              <span>F${nutrients.fat}</span>
+              <span>C${nutrients.carbs}</span>
+            </span>
+            <button type="button" class="row-action" data-action="delete-plan-item" aria-label="削除">🗑️</button>
+          </li>
+        `;
+      }).join('')}</ul>`;
+
+    this.updatePlanTotals();
+  },
+
+  /**
+   * プランの合計と目標との差を表示
+   */
+  updatePlanTotals() {
+    const totalsEl = document.getElementById('planTotals');
+    const draft = this.planDraft;
+    if (!totalsEl || !draft) return;
+
+    const settings = this.currentData.settings || DataManager.getDefaultSettings();
+    const goals = DataManager.getGoalsForDate(draft.date, this.currentData.goal_history, settings);
+    const evaluation = MealPlanner.evaluate(MealPlanner.calculateTotals(draft.items), goals);
+    const labels = { calories: 'カロリー', protein: 'P', fat: 'F', carbs: 'C' };
+    const units = { calories: 'kcal', protein: 'g', fat: 'g', carbs: 'g' };
+
+    totalsEl.innerHTML = Object.keys(evaluation).map(key => {
+      const item = evaluation[key];
+      return `
+        <span class="plan-total ${item.ok ? 'ok' : 'off'}">
+          ${labels[key]} ${Math.round(item.total).toLocaleString()} / ${item.goal.toLocaleString()}${units[key]}
+          <span class="plan-total-diff">(${item.diff > 0 ? '+' : ''}${Math.round(item.diff)})</span>
+        </span>
+      `;
+    }).join('');
+  },
+
+  /**
+   * 指定した日のプランを読み込む（保存済みがなければ空）
+   */
+  loadPlanDraft(date) {
+    const saved = MealPlanner.plans[date];
+    this.planDraft = {
+      date,
+      items: saved ? saved.items.map(item => ({ ...item })) : []
+    };
+  },
+
+  /**
+   * 食品名（量は任意）からプランに品目を追加
+   */
+  addPlanFood(text, mealType) {
+    const draft = this.planDraft;
+    const parsed = FoodCatalog.parseItemName(text);
+    const food = RecipeBook.toFood(parsed.name, draft.date)
+      || FoodCatalog.foods[FoodCatalog.getKey(parsed.name, parsed.unit)]
+      || FoodCatalog.findByName(parsed.name);
+    if (!food) {
+      this.setPlanStatus(`「${text}」は食品データベースにありません`, true);
+      return false;
+    }
+
+    const amount = parsed.amount !== null && parsed.unit === food.unit ? parsed.amount : null;
+    draft.items.push(MealPlanner.createItem(food, mealType, amount));
+    this.setPlanStatus('');
+    return true;
+  },
+
+  /**
+   * 食事プランの状態メッセージを表示
+   */
+  setPlanStatus(message, isError = false) {
+    const statusEl = document.getElementById('planStatus');
+    if (statusEl) {
+      statusEl.textContent = message;
+      statusEl.className = `entry-status ${isError ? 'error' : ''}`;
+    }
+  },
+
+  /**
+   * 食事プランのボタン操作
+   */
+  async handlePlannerAction(button) {
+    const draft = this.planDraft;
+    const settings = this.currentData.settings || DataManager.getDefaultSettings();
+
+    switch (button.dataset.action) {
+      case 'add-plan-food': {
+        const input = document.getElementById('planFoodInput');
+        if (input.value.trim() && this.addPlanFood(input.value.trim(), document.getElementById('planMealType').value)) {
+          input.value = '';
+          this.renderPlanner();
+        }
+        break;
+      }
+      case 'delete-plan-item':
+        draft.items.splice(Number(button.closest('.plan-item').dataset.index), 1);
+        this.renderPlanner();
+        break;
+      case 'optimize-plan': {
+        const goals = DataManager.getGoalsForDate(draft.date, this.currentData.goal_history, settings);
+        draft.items = MealPlanner.optimize(draft.items, goals);
+        this.renderPlanner();
+        break;
+      }
+      case 'save-plan':
+        try {
+          await MealPlanner.save(draft.date, draft.items);
+          this.setPlanStatus(`${dayjs(draft.date).format('M/D')} のプランを保存しました`);
+          this.updateRecentLogsTable(this.chartData.recentLogs, settings, this.chartData.meals, this.chartData.goalHistory, this.chartData.adaptiveTdee);
+        } catch (error) {
+          this.setPlanStatus(`保存に失敗しました: ${error.message}`, true);
+        }
+        break;
+      case 'apply-plan':
+        await this.applyPlan(draft.date, draft.items);
+        break;
+      case 'discard-plan':
+        if (!confirm(`${dayjs(draft.date).format('M/D')} のプランを破棄しますか？`)) return;
+        try {
+          await MealPlanner.delete(draft.date);
+          this.loadPlanDraft(draft.date);
+          this.renderPlanner();
+          this.updateRecentLogsTable(this.chartData.recentLogs, settings, this.chartData.meals, this.chartData.goalHistory, this.chartData.adaptiveTdee);
+        } catch (error) {
+          this.setPlanStatus(`破棄に失敗しました: ${error.message}`, true);
+        }
+        break;
+    }
+  },
+
+  /**
+   * 食事プランの入力（量・固定・日付・テンプレート）を反映
+   */
+  handlePlannerChange(target) {
+    const draft = this.planDraft;
+
+    if (target.id === 'planDate') {
+      if (target.value) {
+        this.loadPlanDraft(target.value);
+        this.renderPlanner();
+      }
+      return;
+    }
+
+    if (target.id === 'planTemplate') {
+      const template = MealTemplates.get(target.value);
+      if (template) {
+        template.items.forEach(item => {
+          draft.items.push(MealPlanner.createItemFromMealItem(item, template.mealType, draft.date));
+        });
+        this.renderPlanner();
+      }
+      return;
+    }
+
+    const row = target.closest('.plan-item');
+    if (!row) return;
+    const item = draft.items[Number(row.dataset.index)];
+
+    if (target.dataset.planField === 'locked') {
+      item.locked = target.checked;
+      row.classList.toggle('locked', item.locked);
+    } else if (target.dataset.planField === 'amount') {
+      const amount = DataManager.parseNum(target.value);
+      if (amount === null || amount <= 0) return;
+      item.amount = amount;
+      item.max = Math.max(item.max, amount);
+      this.renderPlanner();
+    }
+  },
+
+  /**
+   * プランをその日の食事の記録として保存し、プランを削除（ワンクリックで反映）
+   */
+  async applyPlan(date, items) {
+    const existing = (this.currentData.meals || {})[date];
+    const hasMeals = existing && Object.values(existing).some(list => list.length > 0);
+    if (hasMeals && !confirm(`${dayjs(date).format('M/D')} には食事の記録があります。プランで置き換えますか？`)) return;
+
+    try {
+      await LocalStore.put('mealEdits', { date, meals: MealPlanner.toMeals(items), updated_at: new Date().toISOString() });
+      await MealPlanner.delete(date);
+      if (this.planDraft && this.planDraft.date === date) {
+        this.loadPlanDraft(date);
+      }
+      await this.refreshBrowserData();
+      this.renderPlanner();
+      this.setPlanStatus(`${dayjs(date).format('M/D')} の食事に反映しました`);
+    } catch (error) {
+      console.error('プランの反映に失敗しました:', error);
+      this.setPlanStatus(`反映に失敗しました: ${error.message}`, true);
+    }
+  },
+
+  /**
+   * トレーニング記録の下書きを作成（保存済みの記録があれば複製）
+   */
+  createTrainingDraft(date) {
+    const workout = TrainingLog.get(date);
+    return workout
+      ? {
+        date,
+        calories: workout.calories,
+        exercises: workout.exercises.map(exercise => ({ ...exercise, sets: exercise.sets.map(set => ({ ...set })) }))
+      }
+      : { date, calories: null, exercises: [{ name: '', muscle: 'other', sets: [{ reps: null, weight: null }], calories: null }] };
+  },
+
+  /**
+   * トレーニング記録（入力フォーム・グラフ）を描画
+   */
+  renderTrainingPanel() {
+    const formEl = document.getElementById('trainingForm');
+    if (!formEl) return;
+
+    if (!this.trainingDraft) {
+      this.trainingDraft = this.createTrainingDraft(dayjs().format('YYYY-MM-DD'));
+    }
+    this.renderTrainingForm();
+    this.renderTrainingCharts();
+  },
+
+  /**
+   * トレーニングの入力フォームを描画
+   */
+  renderTrainingForm() {
+    const formEl = document.getElementById('trainingForm');
+    const draft = this.trainingDraft;
+    if (!formEl || !draft) return;
+
+    document.getElementById('trainingDate').value = draft.date;
+    const muscleOptions = (selected) => Object.keys(TrainingLog.muscleGroups).map(muscle =>
+      `<option value="${muscle}" ${muscle === selected ? 'selected' : ''}>${TrainingLog.muscleGroups[muscle]}</option>`
+    ).join('');
+
+    formEl.innerHTML = `
+      <datalist id="exerciseSuggestions">${TrainingLog.getExerciseNames()
+        .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+        .join('')}</datalist>
+      ${draft.exercises.map((exercise, index) => {
+        const best = TrainingLog.getBestBefore(exercise.name, draft.date);
+        return `
+          <div class="training-exercise" data-exercise="${index}">
+            <div class="training-exercise-header">
+              <input type="text" class="meal-edit-name" data-exercise-field="name" value="${this.escapeHtml(exercise.name)}" list="exerciseSuggestions" placeholder="種目（例: ベンチプレス）" aria-label="種目">
+              <select data-exercise-field="muscle" aria-label="部位">${muscleOptions(exercise.muscle)}</select>
+              <button type="button" class="row-action" data-action="delete-exercise" aria-label="種目を削除">🗑️</button>
+            </div>
+            ${exercise.sets.length === 0 && exercise.calories
+              ? `<p class="table-hint">食事データから取り込んだ種目です（消費 ${exercise.calories}kcal）。セットを追加すると重量・回数で記録できます</p>`
+              : ''}
+            <ul class="training-sets">
+              ${exercise.sets.map((set, setIndex) => `
+                <li class="training-set" data-set="${setIndex}">
+                  <span class="training-set-number">${setIndex + 1}</span>
+                  <input type="number" data-set-field="weight" step="0.5" min="0" value="${set.weight ?? ''}" aria-label="重量"> kg ×
+                  <input type="number" data-set-field="reps" step="1" min="0" value="${set.reps ?? ''}" aria-label="回数"> 回
+                  <span class="training-e1rm">${this.formatSetE1rm(set, best)}</span>
+                  <button type="button" class="row-action" data-action="delete-set" aria-label="セットを削除">✕</button>
+                </li>
+              `).join('')}
+            </ul>
+            <button type="button" class="meal-add-item" data-action="add-set">＋ セット</button>
+          </div>
+        `;
+      }).join('')}
+      <button type="button" class="meal-add-item" data-action="add-exercise">＋ 種目を追加</button>
+      <div class="training-calories">
+        <label>消費カロリー
+          <input type="number" data-training-field="calories" step="1" min="0" value="${draft.calories ?? ''}" placeholder="自動" aria-label="消費カロリー"> kcal
+        </label>
+        <span id="trainingSummary" class="table-hint"></span>
+      </div>
+      <div class="meal-editor-actions">
+        <button type="button" class="btn-primary" data-action="save-training">保存</button>
+        ${TrainingLog.get(draft.date) && TrainingLog.get(draft.date).source === 'browser'
+          ? '<button type="button" class="btn-secondary" data-action="delete-training">この日の記録を削除</button>'
+          : ''}
+        <span id="trainingStatus" class="entry-status"></span>
+      </div>
+    `;
+    this.updateTrainingSummary();
+  },
+
+  /**
+   * セットの推定1RM（それまでの最高値を超えたら PR を付ける）
+   */
+  formatSetE1rm(set, best) {
+    const e1rm = TrainingLog.estimate1RM(set.weight, set.reps);
+    if (!e1rm) return '';
+    return `1RM ${e1rm}kg${best > 0 && e1rm > best ? ' <span class="pr-badge">PR</span>' : ''}`;
+  },
+
+  /**
+   * 入力中のトレーニングのボリュームと消費カロリーの目安を表示
+   */
+  updateTrainingSummary() {
+    const summaryEl = document.getElementById('trainingSummary');
+    const draft = this.trainingDraft;
+    if (!summaryEl || !draft) return;
+
+    const bodyWeight = TrainingLog.getBodyWeight(draft.date);
+    const volume = draft.exercises.reduce((sum, exercise) => sum + TrainingLog.calculateVolume(exercise.sets), 0);
+    const sets = draft.exercises.reduce((sum, exercise) => sum + exercise.sets.length, 0);
+    const estimated = draft.exercises.reduce((sum, exercise) => sum + TrainingLog.estimateExerciseCalories(exercise, bodyWeight), 0);
+    summaryEl.textContent = `${sets}セット・ボリューム ${Math.round(volume).toLocaleString()}kg・推定消費 ${estimated}kcal（体重${bodyWeight}kgで計算）`;
+  },
+
+  /**
+   * トレーニングフォームの入力を反映（数値は再描画せずに集計だけ更新）
+   */
+  handleTrainingInput(target) {
+    const draft = this.trainingDraft;
+    if (!draft) return;
+
+    if (target.dataset.trainingField === 'calories') {
+      draft.calories = DataManager.parseNum(target.value);
+      return;
+    }
+
+    const exerciseEl = target.closest('.training-exercise');
+    if (!exerciseEl) return;
+    const exercise = draft.exercises[Number(exerciseEl.dataset.exercise)];
+
+    if (target.dataset.exerciseField) {
+      exercise[target.dataset.exerciseField] = target.value;
+      return;
+    }
+
+    const setEl = target.closest('.training-set');
+    if (setEl && target.dataset.setField) {
+      const set = exercise.sets[Number(setEl.dataset.set)];
+      set[target.dataset.setField] = DataManager.parseNum(target.value);
+      setEl.querySelector('.training-e1rm').innerHTML =
+        this.formatSetE1rm(set, TrainingLog.getBestBefore(exercise.name, draft.date));
+      this.updateTrainingSummary();
+    }
+  },
+
+  /**
+   * 入力を確定したときの処理（日付の切り替え・種目の切り替え・部位の推定）
+   */
+  handleTrainingChange(target) {
+    const draft = this.trainingDraft;
+    if (!draft) return;
+
+    if (target.id === 'trainingDate') {
+      if (target.value) {
+        this.trainingDraft = this.createTrainingDraft(target.value);
+        this.renderTrainingForm();
+      }
+      return;
+    }
+
+    if (target.id === 'trainingExercise') {
+      this.renderExerciseHistory(target.value);
+      return;
+    }
+
+    if (target.dataset.exerciseField === 'name') {
+      const exercise = draft.exercises[Number(target.closest('.training-exercise').dataset.exercise)];
+      exercise.muscle = TrainingLog.guessMuscle(exercise.name);
+      this.renderTrainingForm();
+    }
+  },
+
+  /**
+   * トレーニングパネルのボタン操作
+   */
+  async handleTrainingAction(button) {
+    const draft = this.trainingDraft;
+    const exerciseEl = button.closest('.training-exercise');
+    const exercise = exerciseEl ? draft.exercises[Number(exerciseEl.dataset.exercise)] : null;
+    const statusEl = document.getElementById('trainingStatus');
+
+    switch (button.dataset.action) {
+      case 'add-exercise':
+        draft.exercises.push({ name: '', muscle: 'other', sets: [{ reps: null, weight: null }], calories: null });
+        this.renderTrainingForm();
+        break;
+      case 'delete-exercise':
+        draft.exercises.splice(Number(exerciseEl.dataset.exercise), 1);
+        this.renderTrainingForm();
+        break;
+      case 'add-set': {
+        // 直前のセットと同じ重量・回数で追加
+        const last = exercise.sets[exercise.sets.length - 1];
+        exercise.sets.push(last ? { ...last } : { reps: null, weight: null });
+        this.renderTrainingForm();
+        break;
+      }
+      case 'delete-set':
+        exercise.sets.splice(Number(button.closest('.training-set').dataset.set), 1);
+        this.renderTrainingForm();
+        break;
+      case 'save-training':
+        try {
+          await TrainingLog.save(draft);
+          this.trainingDraft = this.createTrainingDraft(draft.date);
+          this.renderTrainingPanel();
+          this.renderDashboard(this.currentData);
+          document.getElementById('trainingStatus').textContent =
+            `${dayjs(draft.date).format('M/D')} のトレーニングを保存しました（消費 ${TrainingLog.getCalories(draft.date)}kcal）`;
+        } catch (error) {
+          statusEl.textContent = error.message;
+          statusEl.classList.add('error');
+        }
+        break;
+      case 'delete-training':
+        if (!confirm(`${dayjs(draft.date).format('M/D')} のトレーニング記録を削除しますか？`)) return;
+        try {
+          await TrainingLog.delete(draft.date);
+          // 食事データの筋トレがあれば取り込み直す
+          await TrainingLog.load(this.currentData.meals, this.currentData.daily_log);
+          this.trainingDraft = this.createTrainingDraft(draft.date);
+          this.renderTrainingPanel();
+          this.renderDashboard(this.currentData);
+        } catch (error) {
+          statusEl.textContent = `削除に失敗しました: ${error.message}`;
+          statusEl.classList.add('error');
+        }
+        break;
+    }
+  },
+
+  /**
+   * 部位別の週間ボリュームと種目ごとの推移を描画
+   */
+  renderTrainingCharts() {
+    const chartsEl = document.getElementById('trainingCharts');
+    if (!chartsEl) return;
+
+    const names = TrainingLog.getExerciseNames()
+      .filter(name => TrainingLog.getExerciseHistory(name).length > 0);
+    chartsEl.classList.toggle('hidden', names.length === 0);
+    if (names.length === 0) return;
+
+    ChartManager.renderTrainingVolumeChart(TrainingLog.calculateWeeklyVolume(), TrainingLog.muscleGroups);
+
+    const select = document.getElementById('trainingExercise');
+    const selected = names.includes(select.value) ? select.value : names[0];
+    select.innerHTML = names.map(name =>
+      `<option value="${this.escapeHtml(name)}" ${name === selected ? 'selected' : ''}>${this.escapeHtml(name)}</option>`
+    ).join('');
+    this.renderExerciseHistory(selected);
+  },
+
+  /**
+   * 種目の推移グラフと自己ベストを表示
+   */
+  renderExerciseHistory(name) {
+    const history = TrainingLog.getExerciseHistory(name);
+    ChartManager.renderExerciseHistoryChart(history);
+
+    const prEl = document.getElementById('exercisePr');
+    const best = history.filter(entry => entry.pr).pop();
+    prEl.textContent = best
+      ? `自己ベスト: 推定1RM ${best.bestE1rm}kg（${DataManager.formatDate(best.date)}）・記録 ${history.length}回`
+      : `記録 ${history.length}回（重量の記録がありません）`;
+  },
+
+  /**
+   * Google Sheetsからデータを読み込み
+   */
+  async loadFromSheets() {
+    this.dataSource = 'sheets';
+    await this.loadData();
+  },
+
+  /**
+   * Inputシートの列設定パネルを更新
+   */
+  updateColumnMappingPanel() {
+    const listEl = document.getElementById('columnMappingList');
+    if (!listEl) return;
+
+    const resolved = DataManager.lastInputColumns;
+    if (!resolved || !resolved.headers) {
+      listEl.innerHTML = '<p class="empty-state">Google Sheetsから読み込むと列の一覧が表示されます</p>';
+      return;
+    }
+
+    const fieldLabels = this.inputFieldLabels;
+    const userMapping = DataManager.loadColumnMapping();
+
+    listEl.innerHTML = resolved.headers.map((label, index) => {
+      if (!DataManager.normalizeHeader(label)) return '';
+
+      // 現在の割り当て（自動判定結果）
+      const autoField = Object.keys(resolved.columns).find(f => resolved.columns[f] === index)
+        || (resolved.custom.some(c => c.index === index) ? 'custom' : 'ignore');
+      const selected = userMapping[label] || '';
+
+      const options = Object.keys(fieldLabels).map(field =>
+        `<option value="${field}" ${selected === field ? 'selected' : ''}>${fieldLabels[field]}</option>`
+      ).join('');
+
+      return `
+        <div class="column-mapping-row">
+          <span class="column-mapping-header">${this.escapeHtml(label)}</span>
+          <select data-header="${encodeURIComponent(label)}" aria-label="${this.escapeHtml(label)} の割り当て">
+            <option value="" ${selected ? '' : 'selected'}>自動（${fieldLabels[autoField]}）</option>
+            ${options}
+          </select>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * 消費カロリーの計算方法（計算式・活動係数）のフォームを現在の設定で表示
+   */
+  updateEnergyModelPanel() {
+    const select = document.getElementById('energyModel');
+    if (!select) return;
+
+    const settings = this.currentData.settings || DataManager.getDefaultSettings();
+    const energyModel = DataManager.getEnergyModel(settings);
+    select.innerHTML = Object.keys(DataManager.energyModels).map(model =>
+      `<option value="${model}" ${model === energyModel.model ? 'selected' : ''}>${DataManager.energyModels[model].label}</option>`
+    ).join('');
+    document.getElementById('activityFactor').value = energyModel.activityFactor;
+  },
+
+  /**
+   * 消費カロリーの計算方法を保存して再描画
+   */
+  saveEnergyModel() {
+    const statusEl = document.getElementById('energyModelStatus');
+    const activityFactor = DataManager.parseNum(document.getElementById('activityFactor').value);
+    if (!activityFactor || activityFactor < 1 || activityFactor > 2.5) {
+      statusEl.textContent = '活動係数は1.0〜2.5で入力してください';
+      statusEl.classList.add('error');
+      return;
+    }
+
+    DataManager.saveEnergyModel({ model: document.getElementById('energyModel').value, activityFactor });
+    statusEl.textContent = '保存しました';
+    statusEl.classList.remove('error');
+    this.renderDashboard(this.currentData);
+    if (this.mealEditor) this.updateMealEditorSummary();
+  },
+
+  /**
+   * 列設定パネルの内容を保存してデータを再読み込み
+   */
+  async saveColumnMapping() {
+    const mapping = {};
+    document.querySelectorAll('#columnMappingList select').forEach(select => {
+      if (select.value) {
+        mapping[decodeURIComponent(select.dataset.header)] = select.value;
+      }
+    });
+    DataManager.saveColumnMapping(mapping);
+    await this.loadData();
+  },
+
+  /**
+   * CSVの状態メッセージを表示
+   */
+  setCsvStatus(message, isError = false) {
+    const statusEl = document.getElementById('csvStatus');
+    if (statusEl) {
+      statusEl.textContent = message;
+      statusEl.className = `entry-status ${isError ? 'error' : ''}`;
+    }
+  },
+
+  /**
+   * CSVファイルを読み込んで列の割り当てのプレビューを表示
+   */
+  async readCsvFile(file) {
+    try {
+      const csv = await CsvIO.read(file);
+      if (csv.rows.length < 2) {
+        throw new Error('見出し行とデータ行のあるCSVを選んでください');
+      }
+
+      // このダッシュボードで書き出した食事の合計の列は既定で読み込まない
+      // （摂取カロリー・PFCの空欄を補うかはプレビューのチェックボックスで選ぶ）
+      const mapping = {};
+      CsvIO.mealTotalColumns.forEach(column => {
+        mapping[column.label] = 'ignore';
+      });
+      this.csvImport = { ...csv, mapping, fillMealTotals: true };
+      this.renderCsvPreview();
+      this.setCsvStatus('');
+    } catch (error) {
+      console.error('CSVの読み込みに失敗しました:', error);
+      this.setCsvStatus(`読み込みに失敗しました: ${error.message}`, true);
+    }
+  },
+
+  /**
+   * 読み込み前のCSVを現在の列の割り当てで daily_log に変換
+   * @returns {Object} { resolved, entries: 日付を読み取れた行, skipped: 日付を読み取れなかった行数 }
+   */
+  parseCsvImport() {
+    const csv = this.csvImport;
+    const resolved = DataManager.resolveInputColumns(csv.rows[0], csv.mapping);
+    // 日付と指標の列が割り当てられていなければ読み込まない（Inputシートの旧列構造は使わない）
+    if (resolved.legacy) return { resolved, entries: [], skipped: 0 };
+
+    const rows = DataManager.parseInputRows(csv.rows, resolved);
+    const parsed = csv.fillMealTotals ? CsvIO.fillFromMealTotals(csv.rows, resolved, rows) : rows;
+    const entries = parsed.filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry.date));
+    return { resolved, entries, skipped: parsed.length - entries.length };
+  },
+
+  /**
+   * CSVの列の割り当てと、読み込む記録の先頭を表示
+   */
+  renderCsvPreview() {
+    const previewEl = document.getElementById('csvPreview');
+    if (!previewEl) return;
+
+    const csv = this.csvImport;
+    previewEl.classList.toggle('hidden', !csv);
+    if (!csv) {
+      previewEl.innerHTML = '';
+      return;
+    }
+
+    const { resolved, entries, skipped } = this.parseCsvImport();
+    const fieldOf = index => {
+      if (resolved.legacy) {
+        const label = csv.rows[0][index];
+        const key = DataManager.normalizeHeader(label);
+        return csv.mapping[label]
+          || Object.keys(DataManager.inputColumnAliases).find(field => DataManager.inputColumnAliases[field].includes(key))
+          || 'custom';
+      }
+      return Object.keys(resolved.columns).find(field => resolved.columns[field] === index)
+        || (resolved.custom.some(c => c.index === index) ? 'custom' : 'ignore');
+    };
+
+    const mappingHtml = csv.rows[0].map((label, index) => {
+      if (!DataManager.normalizeHeader(label)) return '';
+      const selected = fieldOf(index);
+      const options = Object.keys(this.inputFieldLabels).map(field =>
+        `<option value="${field}" ${field === selected ? 'selected' : ''}>${this.inputFieldLabels[field]}</option>`
+      ).join('');
+      return `
+        <div class="column-mapping-row">
+          <span class="column-mapping-header">${this.escapeHtml(label)}</span>
+          <select data-header="${encodeURIComponent(label)}" aria-label="${this.escapeHtml(label)} の割り当て">${options}</select>
+        </div>
+      `;
+    }).join('');
+
+    const format = value => value === null || value === undefined ? '' : value;
+    const rowsHtml = entries.slice(0, 5).map(entry => `
+      <tr>
+        <td>${entry.date}</td>
+        <td>${format(entry.weight)}</td>
+        <td>${format(entry.waist)}</td>
+        <td>${format(entry.body_fat)}</td>
+        <td>${format(entry.steps)}</td>
+        <td>${format(entry.calories_intake)}</td>
+        <td>${format(entry.protein)} / ${format(entry.fat)} / ${format(entry.carbs)}</td>
+        <td>${this.escapeHtml(entry.notes || '')}</td>
+      </tr>
+    `).join('');
+
+    previewEl.innerHTML = `
+      <p class="table-hint">${this.escapeHtml(csv.name)}・${csv.encoding}・${CsvIO.delimiterLabels[csv.delimiter]}区切り・${csv.rows.length - 1}行${skipped > 0 ? `（日付を読み取れない${skipped}行は除外）` : ''}</p>
+      <div class="csv-mapping-list">${mappingHtml}</div>
+      ${CsvIO.hasMealTotalColumns(csv.rows[0])
+        ? `<label class="csv-option"><input type="checkbox" data-csv-option="fillMealTotals" ${csv.fillMealTotals ? 'checked' : ''}> 摂取カロリー・PFCが空欄の日は「食事の合計」の列の値で補う</label>`
+        : ''}
+      ${resolved.legacy
+        ? '<p class="entry-status error">日付の列と、体重・腹囲・歩数・摂取カロリーのいずれかの列を割り当ててください</p>'
+        : `
+          <div class="table-wrapper">
+            <table class="csv-preview-table">
+              <thead>
+                <tr><th>日付</th><th>体重</th><th>腹囲</th><th>体脂肪率</th><th>歩数</th><th>摂取</th><th>P / F / C</th><th>メモ</th></tr>
+              </thead>
+              <tbody>${rowsHtml}</tbody>
+            </table>
+          </div>
+        `}
+      <div class="meal-editor-actions">
+        <button type="button" class="btn-primary" data-action="import-csv" ${entries.length === 0 ? 'disabled' : ''}>${entries.length}日分を読み込む</button>
+        <button type="button" class="btn-secondary" data-action="cancel-csv">キャンセル</button>
+      </div>
+    `;
+  },
+
+  /**
+   * CSVの列の割り当ての変更を反映してプレビューを更新
+   */
+  handleCsvMappingChange(target) {
+    if (!this.csvImport) return;
+    if (target.dataset.csvOption) {
+      this.csvImport[target.dataset.csvOption] = target.checked;
+    } else if (target.dataset.header) {
+      this.csvImport.mapping[decodeURIComponent(target.dataset.header)] = target.value;
+    } else {
+      return;
+    }
+    this.renderCsvPreview();
+  },
+
+  /**
+   * CSVプレビューのボタン操作
+   */
+  async handleCsvAction(button) {
+    switch (button.dataset.action) {
+      case 'import-csv':
+        await this.importCsv();
+        break;
+      case 'cancel-csv':
+        this.csvImport = null;
+        this.renderCsvPreview();
+        break;
+    }
+  },
+
+  /**
+   * プレビュー中のCSVを保存し、データソースを「CSVファイル」に切り替えて表示
+   */
+  async importCsv() {
+    const csv = this.csvImport;
+    const { entries, skipped } = this.parseCsvImport();
+
+    try {
+      await DataSources.save('csv', { name: csv.name, encoding: csv.encoding, delimiter: csv.delimiter, daily_log: entries });
+      this.csvImport = null;
+      this.renderCsvPreview();
+
+      this.dataSource = 'csv';
+      document.getElementById('dataSource').value = 'csv';
+      await this.loadData();
+      this.setCsvStatus(`${csv.name} から${entries.length}日分を読み込みました${skipped > 0 ? `（${skipped}行は日付を読み取れず除外）` : ''}`);
+    } catch (error) {
+      console.error('CSVの保存に失敗しました:', error);
+      this.setCsvStatus(`読み込みに失敗しました: ${error.message}`, true);
+    }
+  },
+
+  /**
+   * 表示中の記録（手入力をマージした daily_log と日ごとの食事の合計）をCSVで書き出す
+   */
+  exportCsv() {
+    if (!this.currentData) return;
+
+    const csv = CsvIO.exportDailyLog(this.currentData.daily_log, this.currentData.meals);
+    this.downloadFile(`daily_log_${dayjs().format('YYYY-MM-DD')}.csv`, csv, 'text/csv');
+    this.setCsvStatus('');
+  },
+
+  /**
+   * ダッシュボードを描画
+   */
+  renderDashboard(data) {
+    const settings = data.settings || DataManager.getDefaultSettings();
+    const fullChartData = DataManager.prepareChartData(data, settings, TrainingLog.getCaloriesByDate());
+    this.chartData = DataManager.applyDateRange(fullChartData, this.dateRange, settings, data.meals);
+    this.updateDateRangeControls(this.chartData.range);
+
+    // 計画セクションを更新
+    this.updatePlanSection(this.chartData.plan, settings, this.chartData.goalHistory);
+
+    // カロリー調整の提案を更新（表示期間に関わらず全期間の週平均から判定）
+    this.updateRecommendation(fullChartData, settings);
+
+    // 目標変更履歴を更新
+    this.updateGoalHistory(data.goal_history);
+
+    // 目標体重の到達予測（表示期間に関わらず全期間の傾向から計算）
+    this.chartData.forecast = WeightForecast.forecast(
+      fullChartData.weight.dates,
+      fullChartData.weight.movingAvg,
+      settings.target_weight
+    );
+
+    // サマリーカードを更新
+    this.updateSummaryCards(this.chartData, settings);
+
+    // 今日の残りを更新
+    this.updateBudgetCard(data, settings);
+
+    // 累積収支と実際の体重変化のずれ（全期間で判定）
+    this.updateBalanceDriftCallout(fullChartData.balanceDrift);
+    this.updateMeasurementSummary(fullChartData.measurements);
+
+    // グラフを描画
+    ChartManager.renderAllCharts(this.chartData);
+
+    // 日別考察を更新（mealsを渡してPFC計算に使用）
+    this.updateDailyInsights(this.chartData.recentLogs, settings, this.chartData.meals, this.chartData.goalHistory);
+
+    // 週平均レビューを更新
+    this.updateWeeklyReviewTable(this.chartData.weeklySummaries);
+
+    // テーブルを更新
+    this.updateRecentLogsTable(this.chartData.recentLogs, settings, this.chartData.meals, this.chartData.goalHistory, this.chartData.adaptiveTdee);
+
+    // データ不足警告をチェック
+    this.checkDataCompleteness(this.chartData.recentLogs, this.chartData.meals);
+  },
+
+  /**
+   * 今日の食事と目標から残りのカロリー・PFCを表示し、タンパク質の不足を埋める食品を提案
+   */
+  updateBudgetCard(data, settings) {
+    const rowsEl = document.getElementById('budgetRows');
+    const suggestionsEl = document.getElementById('budgetSuggestions');
+    if (!rowsEl || !suggestionsEl) return;
+
+    const today = dayjs().format('YYYY-MM-DD');
+    const goals = DataManager.getGoalsForDate(today, data.goal_history, settings);
+    const budget = DataManager.calculateMacroBudget((data.meals || {})[today], goals, settings.goals);
+
+    const labels = {
+      calories: { name: 'カロリー', unit: 'kcal' },
+      protein: { name: 'P', unit: 'g' },
+      fat: { name: 'F', unit: 'g' },
+      carbs: { name: 'C', unit: 'g' }
+    };
+    const formatAmount = (value, unit) => `${(Math.round(Math.abs(value) * 10) / 10).toLocaleString()}${unit}`;
+
+    rowsEl.innerHTML = budget.items.map(item => {
+      const { name, unit } = labels[item.key];
+      let remainingText;
+      if (item.kind === 'max') {
+        remainingText = item.over ? `上限を${formatAmount(item.remaining, unit)}超過` : `上限まであと${formatAmount(item.remaining, unit)}`;
+      } else if (item.kind === 'min') {
+        remainingText = item.remaining > 0 ? `下限まであと${formatAmount(item.remaining, unit)}` : '下限達成';
+      } else {
+        remainingText = item.over ? `${formatAmount(item.remaining, unit)}超過` : `あと${formatAmount(item.remaining, unit)}`;
+      }
+      const percent = Math.min(100, Math.round((item.consumed / item.goal) * 100));
+      const kindLabel = { max: '（上限）', min: '（下限）', target: '' }[item.kind];
+
+      return `
+        <div class="budget-row ${item.key}">
+          <div class="budget-row-header">
+            <span class="budget-label">${name}${kindLabel}</span>
+            <span class="budget-remaining ${item.over ? 'over' : ''}">${remainingText}</span>
+          </div>
+          <div class="budget-bar"><div class="budget-bar-fill ${item.over ? 'over' : ''}" style="width: ${percent}%"></div></div>
+          <span class="budget-detail">${formatAmount(item.consumed, unit)} / ${formatAmount(item.goal, unit)}</span>
+        </div>
+      `;
+    }).join('');
+
+    // タンパク質の不足を脂質の残りの範囲で埋める
+    const protein = budget.items.find(item => item.key === 'protein');
+    const fat = budget.items.find(item => item.key === 'fat');
+    const fatRoom = fat ? Math.max(fat.remaining, 0) : null;
+    const suggestions = protein && protein.remaining > 0
+      ? FoodCatalog.suggestProteinPortions(protein.remaining, fatRoom, today)
+      : [];
+
+    if (!budget.totals.hasData) {
+      suggestionsEl.innerHTML = '<p class="table-hint">今日の食事はまだ記録されていません</p>';
+    } else if (suggestions.length > 0) {
+      suggestionsEl.innerHTML = `
+        <p class="budget-suggestion-title">タンパク質をあと${formatAmount(protein.remaining, 'g')}とるなら</p>
+        <ul class="budget-suggestions">
+          ${suggestions.map(item => `<li>${this.escapeHtml(item.name)} <span class="budget-detail">P${item.protein}g F${item.fat}g ${item.calories}kcal</span></li>`).join('')}
+        </ul>
+      `;
+    } else {
+      suggestionsEl.innerHTML = '';
+    }
+  },
+
+  /**
+   * 累積収支からの予想と実際の体重変化が許容幅以上ずれていれば注意を表示
+   */
+  updateBalanceDriftCallout(balanceDrift) {
+    const calloutEl = document.getElementById('balanceDriftCallout');
+    if (!calloutEl) return;
+
+    const latest = balanceDrift.latest;
+    if (!balanceDrift.drifting) {
+      calloutEl.classList.add('hidden');
+      return;
+    }
+
+    const format = value => `${value > 0 ? '+' : ''}${value.toFixed(1)}kg`;
+    // 予想より減っている → 消費の過小評価か摂取の記録過多、減っていない → 記録漏れか消費の過大評価
+    const cause = latest.drift < 0
+      ? '消費カロリーの推定が低すぎるか、摂取を多めに記録している可能性があります'
+      : '食事の記録漏れがあるか、消費カロリーの推定が高すぎる可能性があります';
+    calloutEl.textContent = `${DataManager.formatDate(latest.date)}時点で、累積収支からの予想 ${format(latest.expected)} に対して実際は ${format(latest.actual)}（差 ${Math.abs(latest.drift).toFixed(1)}kg、許容 ${balanceDrift.threshold}kg）。${cause}`;
+    calloutEl.classList.remove('hidden');
+  },
+
+  /**
+   * 部位ごとの最新の採寸と開始からの変化、US Navy式の推定体脂肪率を表示
+   */
+  updateMeasurementSummary(measurements) {
+    const summaryEl = document.getElementById('navyBodyFat');
+    if (!summaryEl) return;
+
+    const sites = DataManager.measurementSites;
+    const changes = Object.keys(sites)
+      .filter(site => measurements.latest[site])
+      .map(site => {
+        const latest = measurements.latest[site];
+        return `${sites[site]} ${latest.value}cm（${latest.change > 0 ? '+' : ''}${latest.change}）`;
+      });
+
+    // 推定に使った部位ごとの値と測定日
+    const navy = measurements.navyLatest;
+    const navyInputs = navy
+      ? [['腹囲', navy.waist, navy.waistDate], ['首', navy.neck, navy.neckDate], ['ヒップ', navy.hip, navy.hipDate]]
+        .filter(([, value]) => value)
+        .map(([label, value, date]) => `${label}${value}cm（${DataManager.formatDate(date)}）`)
+        .join('・')
+      : '';
+    const navyText = navy
+      ? `US Navy式の推定体脂肪率: ${navy.value}%（${DataManager.formatDate(navy.date)}、${navyInputs}）`
+      : `US Navy式の体脂肪率は腹囲と首（女性はヒップも）を${DataManager.navyWindowDays}日以内に記録すると推定できます`;
+    summaryEl.textContent = changes.length > 0 ? `${changes.join(' / ')}。${navyText}` : navyText;
+  },
+
+  /**
+   * 採寸フォームに指定した日の記録を読み込む（記録がなければ空欄）
+   */
+  loadMeasurementForm(date) {
+    const form = document.getElementById('measurementForm');
+    if (!form || !date) return;
+
+    const data = this.currentData || {};
+    const measurement = DataManager.mergeMeasurements(data.weekly_measurements, data.browser_measurements)
+      .find(m => m.date === date) || {};
+    Object.keys(DataManager.measurementSites).forEach(site => {
+      form.elements[site].value = measurement[site] ?? '';
+    });
+    this.setMeasurementStatus(measurement.date ? `${dayjs(date).format('M/D')} の採寸を編集中` : '');
+  },
+
+  /**
+   * 採寸フォームの状態メッセージを表示
+   */
+  setMeasurementStatus(message, isError = false) {
+    const statusEl = document.getElementById('measurementStatus');
+    if (statusEl) {
+      statusEl.textContent = message;
+      statusEl.className = `entry-status ${isError ? 'error' : ''}`;
+    }
+  },
+
+  /**
+   * 採寸フォームの内容を IndexedDB に保存
+   */
+  async saveMeasurement(event) {
+    event.preventDefault();
+    const form = event.target;
+    const date = form.elements.date.value;
+    if (!date) {
+      this.setMeasurementStatus('日付を入力してください', true);
+      return;
+    }
+
+    const measurement = { date, updated_at: new Date().toISOString() };
+    Object.keys(DataManager.measurementSites).forEach(site => {
+      measurement[site] = DataManager.parseNum(form.elements[site].value);
+    });
+    if (!Object.keys(DataManager.measurementSites).some(site => measurement[site])) {
+      this.setMeasurementStatus('採寸した部位を1つ以上入力してください', true);
+      return;
+    }
+
+    try {
+      await LocalStore.put('measurements', measurement);
+      await this.refreshBrowserData();
+      this.setMeasurementStatus(`${dayjs(date).format('M/D')} の採寸を保存しました`);
+    } catch (error) {
+      console.error('採寸の保存に失敗しました:', error);
+      this.setMeasurementStatus(`保存に失敗しました: ${error.message}`, true);
+    }
+  },
+
+  /**
+   * 手入力した採寸を削除（シートの採寸はそのまま）
+   */
+  async deleteMeasurement(date) {
+    if (!date) return;
+    const stored = await LocalStore.get('measurements', date).catch(() => null);
+    if (!stored) {
+      this.setMeasurementStatus(`${dayjs(date).format('M/D')} に手入力した採寸はありません`, true);
+      return;
+    }
+    if (!confirm(`${dayjs(date).format('M/D')} の手入力の採寸を削除しますか？`)) return;
+
+    try {
+      await LocalStore.delete('measurements', date);
+      await this.refreshBrowserData();
+      this.loadMeasurementForm(date);
+      this.setMeasurementStatus(`${dayjs(date).format('M/D')} の採寸を削除しました`);
+    } catch (error) {
+      console.error('採寸の削除に失敗しました:', error);
+      this.setMeasurementStatus(`削除に失敗しました: ${error.message}`, true);
+    }
   },
 
   /**
    * 計画セクションを更新
    */
-  updatePlanSection(plan, settings) {
-    const goals = settings.goals || {};
+  updatePlanSection(plan, settings, goalHistory) {
+    // 目標値（現在の日付に有効な目標）
+    const goals = DataManager.getGoalsForDate(dayjs().format('YYYY-MM-DD'), goalHistory, settings);
 
     // フェーズ名
     const phaseEl = document.getElementById('currentPhase');
@@ -215,9 +2147,7 @@ const App = {
       descEl.textContent = plan.description || '';
     }
 
-    // 目標値（現在の日付に応じた目標）
-    const todayTarget = DataManager.getCalorieTargetForDate(new Date().toISOString().split('T')[0], settings);
-    document.getElementById('targetCalories').textContent = `${todayTarget.toLocaleString()} kcal`;
+    document.getElementById('targetCalories').textContent = `${(goals.calories || 2700).toLocaleString()} kcal`;
     document.getElementById('targetProtein').textContent = `${goals.protein || 195}g`;
     document.getElementById('targetFat').textContent = `${goals.fat || 58}g`;
     document.getElementById('targetCarbs').textContent = `${goals.carbs || 325}g`;
@@ -229,6 +2159,66 @@ const App = {
     }
   },
 
+  /**
+   * ガイドラインに基づくカロリー調整の提案を表示
+   */
+  updateRecommendation(chartData, settings) {
+    const container = document.getElementById('calorieRecommendation');
+    if (!container) return;
+
+    const today = dayjs().format('YYYY-MM-DD');
+    const currentGoals = DataManager.getGoalsForDate(today, chartData.goalHistory, settings);
+    const proposal = CalorieAdvisor.recommend(chartData.weeklySummaries, currentGoals, settings, chartData.plan, today);
+    this.currentRecommendation = proposal;
+
+    if (!proposal) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    const actionLabels = { increase: '増やす', decrease: '減らす', hold: '維持' };
+    const diffText = proposal.diff !== 0
+      ? `（${proposal.diff > 0 ? '+' : ''}${proposal.diff} kcal）`
+      : '';
+
+    container.className = `recommendation ${proposal.action}`;
+    container.innerHTML = `
+      <div class="recommendation-header">
+        <span class="recommendation-title">来週の目標の提案: ${actionLabels[proposal.action]}</span>
+        <span class="recommendation-values">
+          ${proposal.calories.toLocaleString()} kcal${diffText}
+          / P${proposal.protein}g F${proposal.fat}g C${proposal.carbs}g
+        </span>
+      </div>
+      <div class="recommendation-rule">適用ルール: ${proposal.rule}</div>
+      ${proposal.reasons.length > 0 ? `
+        <ul class="recommendation-reasons">
+          ${proposal.reasons.map(r => `<li>${r}</li>`).join('')}
+        </ul>
+      ` : ''}
+      ${proposal.action !== 'hold' ? '<button class="btn-primary" id="acceptRecommendation">この提案を採用</button>' : ''}
+    `;
+
+    const acceptBtn = document.getElementById('acceptRecommendation');
+    if (acceptBtn) {
+      acceptBtn.addEventListener('click', () => this.acceptRecommendation());
+    }
+  },
+
+  /**
+   * 表示中の提案を採用して目標変更履歴に追加
+   */
+  acceptRecommendation() {
+    if (!this.currentRecommendation || !this.currentData) return;
+
+    const today = dayjs().format('YYYY-MM-DD');
+    const entry = CalorieAdvisor.toGoalHistoryEntry(this.currentRecommendation, today);
+    CalorieAdvisor.saveAcceptedGoal(entry);
+
+    this.currentData.goal_history = CalorieAdvisor.mergeAcceptedGoals(this.currentData.goal_history);
+    this.renderDashboard(this.currentData);
+  },
+
   /**
    * 目標変更履歴を更新
    */
@@ -321,6 +2311,9 @@ const App = {
       targetWeightEl.textContent = `目標: ${settings.target_weight} kg`;
     }
 
+    // 到達予測
+    this.updateForecastCard(chartData.forecast);
+
     // 今週平均カロリー
     const avgCaloriesEl = document.getElementById('avgCalories');
     if (avgCaloriesEl) {
@@ -341,6 +2334,9 @@ const App = {
       waistChangeEl.className = `card-change ${waistChange.change < 0 ? 'positive' : 'negative'}`;
     }
 
+    // 体脂肪率と目標への進み具合
+    this.updateBodyFatCard(chartData.bodyFatChange);
+
     // 歩数
     const currentStepsEl = document.getElementById('currentSteps');
     if (currentStepsEl) {
@@ -380,10 +2376,85 @@ const App = {
     }
   },
 
+  /**
+   * 体脂肪率カードを更新（目標への進み具合と除脂肪量・FFMI）
+   */
+  updateBodyFatCard(bodyFat) {
+    const currentEl = document.getElementById('currentBodyFat');
+    const progressEl = document.getElementById('bodyFatProgress');
+    const compositionEl = document.getElementById('bodyComposition');
+    if (!currentEl || !bodyFat) return;
+
+    const targetText = bodyFat.target ? `目標: ${bodyFat.target}%` : '目標: --%';
+    if (bodyFat.current === null) {
+      currentEl.textContent = '--';
+      progressEl.textContent = '記録なし';
+      progressEl.className = 'card-change';
+      compositionEl.textContent = targetText;
+      return;
+    }
+
+    currentEl.textContent = `${bodyFat.current} %`;
+    if (bodyFat.toGoal !== null && bodyFat.toGoal <= 0) {
+      progressEl.textContent = '目標達成!';
+      progressEl.className = 'card-change positive';
+    } else if (bodyFat.progress !== null) {
+      progressEl.textContent = `目標まで ${bodyFat.toGoal}%（${bodyFat.progress}%達成）`;
+      progressEl.className = `card-change ${bodyFat.change <= 0 ? 'positive' : 'negative'}`;
+    } else {
+      const sign = bodyFat.change > 0 ? '+' : '';
+      progressEl.textContent = `最初の記録から ${sign}${bodyFat.change}%`;
+      progressEl.className = `card-change ${bodyFat.change <= 0 ? 'positive' : 'negative'}`;
+    }
+
+    const composition = bodyFat.composition;
+    compositionEl.textContent = composition
+      ? `${targetText}・除脂肪 ${composition.leanMass}kg・FFMI ${composition.ffmi}`
+      : targetText;
+    compositionEl.title = composition
+      ? `脂肪量 ${composition.fatMass}kg / 除脂肪量 ${composition.leanMass}kg / FFMI ${composition.ffmi}（身長補正 ${composition.normalizedFfmi}）`
+      : '';
+  },
+
+  /**
+   * 目標体重の到達予測カードを更新
+   */
+  updateForecastCard(forecast) {
+    const dateEl = document.getElementById('forecastDate');
+    const rangeEl = document.getElementById('forecastRange');
+    if (!dateEl || !rangeEl) return;
+
+    if (!forecast) {
+      dateEl.textContent = '--';
+      rangeEl.textContent = 'データ不足';
+      return;
+    }
+
+    if (forecast.reached) {
+      dateEl.textContent = '目標達成!';
+      rangeEl.textContent = '';
+      return;
+    }
+
+    const format = (date) => date ? dayjs(date).format('YYYY/M/D') : null;
+    const rate = `${forecast.weeklyRate > 0 ? '+' : ''}${forecast.weeklyRate} kg/週`;
+
+    if (!forecast.arrivalDates.expected) {
+      dateEl.textContent = '見込みなし';
+      rangeEl.textContent = `直近の傾向 ${rate}`;
+      return;
+    }
+
+    dateEl.textContent = `${format(forecast.arrivalDates.expected)}頃`;
+    const earliest = format(forecast.arrivalDates.optimistic) || '--';
+    const latest = format(forecast.arrivalDates.pessimistic) || '未定';
+    rangeEl.textContent = `${earliest}〜${latest}（${rate}）`;
+  },
+
   /**
    * 日別考察・改善点を更新（昨日のデータと今日の体重・腹囲をもとに改善点を表示）
    */
-  updateDailyInsights(logs, settings, meals) {
+  updateDailyInsights(logs, settings, meals, goalHistory) {
     const container = document.getElementById('dailyInsightsContent');
     if (!container || !logs || logs.length === 0) {
       if (container) {
@@ -392,8 +2463,6 @@ const App = {
       return;
     }
 
-    const goals = settings.goals || {};
-
     // 今日と昨日の日付を取得
     const today = dayjs().format('YYYY-MM-DD');
     const yesterday = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
@@ -414,6 +2483,9 @@ const App = {
       return;
     }
 
+    // 昨日に有効だった目標で評価する
+    const goals = DataManager.getGoalsForDate(yesterdayLog.date, goalHistory, settings);
+
     // 昨日の食事データからPFCを計算
     const yesterdayMeals = meals ? meals[yesterdayLog.date] : null;
     let yesterdayPfc = null;
@@ -519,7 +2591,7 @@ const App = {
    * @param {Object} yesterdayLog - 昨日のログ（カロリー・歩数）
    * @param {Object} todayLog - 今日のログ（体重・腹囲）
    * @param {Array} allLogs - 全てのログ
-   * @param {Object} goals - 目標値
+   * @param {Object} goals - 昨日に有効だった目標値
    * @param {Object} settings - 設定
    * @param {Object} yesterdayPfc - 昨日のPFC（ローカルJSONから計算）
    */
@@ -740,21 +2812,87 @@ const App = {
     return insights;
   },
 
+  /**
+   * 週平均レビューテーブルを更新（新しい週が上）
+   */
+  updateWeeklyReviewTable(weeks) {
+    const tbody = document.querySelector('#weeklyReviewTable tbody');
+    if (!tbody) return;
+
+    if (!weeks || weeks.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="empty-state"><p>データがありません</p></td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = [...weeks].reverse().map(week => {
+      // 前週比（減少は緑、0.3kg以上の増加は赤）
+      let changeHtml = '-';
+      if (week.weightChange !== null) {
+        const sign = week.weightChange > 0 ? '+' : '';
+        const changeClass = week.weightChange <= 0 ? 'positive' : (week.weightChange >= 0.3 ? 'negative' : 'warning');
+        changeHtml = `<span class="calorie-balance ${changeClass}">${sign}${week.weightChange.toFixed(2)} kg</span>`;
+      }
+
+      const pfcHtml = week.avgProtein !== null
+        ? `<span class="pfc-display">
+            <span class="p">P${week.avgProtein}g</span> /
+            <span class="f">F${week.avgFat}g</span> /
+            <span class="c">C${week.avgCarbs}g</span>
+          </span>`
+        : '-';
+
+      return `
+        <tr>
+          <td>${dayjs(week.weekStart).format('M/D')}〜${dayjs(week.weekEnd).format('M/D')}</td>
+          <td>${week.avgWeight !== null ? `${week.avgWeight.toFixed(2)} kg` : '-'}</td>
+          <td>${changeHtml}</td>
+          <td>${week.avgCalories !== null ? week.avgCalories.toLocaleString() : '-'}</td>
+          <td>${week.avgSteps !== null ? week.avgSteps.toLocaleString() : '-'}</td>
+          <td>${pfcHtml}</td>
+          <td>${week.loggedDays} / 7日</td>
+        </tr>
+      `;
+    }).join('');
+  },
+
   /**
    * 最近の記録テーブルを更新
    */
-  updateRecentLogsTable(logs, settings, meals) {
+  updateRecentLogsTable(logs, settings, meals, goalHistory, adaptiveTdee) {
     const tbody = document.querySelector('#recentLogsTable tbody');
     if (!tbody) return;
 
-    const goals = settings.goals || {};
+    // 今日以降の食事プラン（記録とは別の行として先頭に表示、過ぎた日のプランはプランナーで日付を選ぶと開ける）
+    const today = dayjs().format('YYYY-MM-DD');
+    const planRows = Object.keys(MealPlanner.plans).filter(date => date >= today).sort().reverse().map(date => {
+      const totals = MealPlanner.calculateTotals(MealPlanner.plans[date].items);
+      return `
+        <tr class="planned-row">
+          <td>${this.formatDate(date)} <span class="source-badge plan">${DataManager.sourceLabels.plan}</span></td>
+          <td>-</td>
+          <td>-</td>
+          <td>-</td>
+          <td>${Math.round(totals.calories).toLocaleString()}</td>
+          <td>-</td>
+          <td>${this.formatPfcHtml(totals.protein, totals.fat, totals.carbs)}</td>
+          <td class="row-actions">
+            <button class="row-action" data-action="edit-plan" data-date="${date}" aria-label="プランを編集">✏️</button>
+            <button class="row-action" data-action="apply-plan" data-date="${date}" aria-label="記録に反映" title="記録に反映">✅</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
 
-    if (!logs || logs.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="7" class="empty-state"><p>データがありません</p></td></tr>';
+    if ((!logs || logs.length === 0) && !planRows) {
+      tbody.innerHTML = '<tr><td colspan="8" class="empty-state"><p>データがありません</p></td></tr>';
       return;
     }
 
-    tbody.innerHTML = logs.map(log => {
+    // 推定消費カロリーの計算式と、各日時点の体重・体脂肪率は表全体で1回だけ求める
+    const energyModel = DataManager.getEnergyModel(settings);
+    const latest = DataManager.getLatestValuesByDate(this.chartData.dailyLog, ['weight', 'body_fat'], ['weight']);
+
+    tbody.innerHTML = planRows + (logs || []).map(log => {
       const hasMeals = meals && meals[log.date];
       const dayMeals = hasMeals ? meals[log.date] : null;
 
@@ -773,23 +2911,10 @@ const App = {
           }
         });
         if (totalP > 0 || totalF > 0 || totalC > 0) {
-          // PFC割合を計算
-          const proteinCal = totalP * 4;
-          const fatCal = totalF * 9;
-          const carbsCal = totalC * 4;
-          const totalPfcCal = proteinCal + fatCal + carbsCal;
-
-          const pRatio = Math.round((proteinCal / totalPfcCal) * 100);
-          const fRatio = Math.round((fatCal / totalPfcCal) * 100);
-          const cRatio = Math.round((carbsCal / totalPfcCal) * 100);
-
-          pfcHtml = `<span class="pfc-display">
-            <span class="p">P${pRatio}%</span> /
-            <span class="f">F${fRatio}%</span> /
-            <span class="c">C${cRatio}%</span>
-          </span>`;
-          // PFC評価
-          const eval_ = DataManager.evaluatePFC({ protein: totalP, fat: totalF, carbs: totalC }, goals);
+          pfcHtml = this.formatPfcHtml(totalP, totalF, totalC);
+          // PFC評価（その日に有効だった目標と比較）
+          const dayGoals = DataManager.getGoalsForDate(log.date, goalHistory, settings);
+          const eval_ = DataManager.evaluatePFC({ protein: totalP, fat: totalF, carbs: totalC }, dayGoals);
           if (eval_) {
             pfcHtml += `<span class="eval-badge ${eval_.status === 'good' ? 'good' : 'warning'}">${eval_.text}</span>`;
           }
@@ -802,11 +2927,15 @@ const App = {
         caloriesHtml = `<span class="calorie-clickable" data-date="${log.date}" data-notes="${encodeURIComponent(log.notes || '')}">${log.calories_intake.toLocaleString()}</span>`;
       }
 
-      // 推定消費カロリー計算
-      const estimatedBurn = DataManager.calculateEstimatedBurn(log.weight, log.steps, settings);
+      // 推定消費カロリー計算（基礎代謝・日常活動・トレーニングの内訳はツールチップで表示）
+      const dayValues = latest[log.date] || {};
+      const burn = DataManager.calculateBurnBreakdown(
+        log.weight || dayValues.weight, log.steps, settings, TrainingLog.getCalories(log.date), dayValues.body_fat, energyModel
+      );
+      const estimatedBurn = burn ? burn.total : null;
       let burnHtml = '-';
       if (estimatedBurn) {
-        burnHtml = `${estimatedBurn.toLocaleString()}`;
+        burnHtml = `<span class="burn-breakdown" title="${DataManager.formatBurnBreakdown(burn)}">${estimatedBurn.toLocaleString()}</span>`;
         // 収支（摂取 - 消費）
         if (log.calories_intake) {
           const balance = log.calories_intake - estimatedBurn;
@@ -815,25 +2944,67 @@ const App = {
         }
       }
 
+      // 摂取と体重推移から逆算した消費カロリー（信頼度付き）
+      const adaptive = adaptiveTdee ? adaptiveTdee[log.date] : null;
+      if (adaptive) {
+        const confidenceLabels = { high: '信頼度: 高', medium: '信頼度: 中', low: '信頼度: 低（記録が少ない）' };
+        const adaptiveHtml = `<span class="adaptive-tdee ${adaptive.confidence}" title="直近14日の摂取${adaptive.intakeDays}日・体重${adaptive.weightDays}日から逆算（${confidenceLabels[adaptive.confidence]}）">実測 ${adaptive.tdee.toLocaleString()}</span>`;
+        burnHtml = burnHtml === '-' ? adaptiveHtml : `${burnHtml}<br>${adaptiveHtml}`;
+      }
+
       // 歩数表示
       let stepsHtml = '-';
       if (log.steps !== null && log.steps !== undefined) {
         stepsHtml = `${log.steps.toLocaleString()}`;
       }
 
+      // 出典バッジと手入力分の編集・削除ボタン
+      const sourceHtml = log.source
+        ? `<span class="source-badge ${log.source}">${DataManager.sourceLabels[log.source] || log.source}</span>`
+        : '';
+      const hasBrowserEntry = log.source === 'browser' || log.source === 'merged';
+      const actionsHtml = hasBrowserEntry
+        ? `<button class="row-action" data-action="edit" data-date="${log.date}" aria-label="編集">✏️</button>
+           <button class="row-action" data-action="delete" data-date="${log.date}" aria-label="手入力分を削除">🗑️</button>`
+        : '';
+
       return `
         <tr>
-          <td>${this.formatDate(log.date)}</td>
+          <td>${this.formatDate(log.date)} ${sourceHtml}</td>
           <td>${log.weight ? `${log.weight} kg` : '-'}</td>
           <td>${log.waist ? `${log.waist} cm` : '-'}</td>
           <td>${stepsHtml}</td>
           <td>${caloriesHtml}</td>
           <td>${burnHtml}</td>
           <td>${pfcHtml}</td>
+          <td class="row-actions">${actionsHtml}</td>
         </tr>
       `;
     }).join('');
 
+    // 手入力分の編集・削除、プランの編集・反映
+    tbody.querySelectorAll('.row-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const date = btn.dataset.date;
+        switch (btn.dataset.action) {
+          case 'edit':
+            this.editEntry(date);
+            break;
+          case 'delete':
+            this.deleteEntry(date);
+            break;
+          case 'edit-plan':
+            this.loadPlanDraft(date);
+            this.renderPlanner();
+            document.getElementById('plannerPanel').scrollIntoView({ behavior: 'smooth', block: 'center' });
+            break;
+          case 'apply-plan':
+            this.applyPlan(date, MealPlanner.plans[date].items);
+            break;
+        }
+      });
+    });
+
     // カロリーセルにクリックイベントを追加
     tbody.querySelectorAll('.calorie-clickable').forEach(el => {
       el.addEventListener('click', () => {
@@ -845,112 +3016,202 @@ const App = {
   },
 
   /**
-   * 食事詳細モーダルを表示
+   * 食事詳細モーダルを表示（その日の食事を編集できる）
    */
   showMealModal(date, notes = '') {
-    const meals = DataManager.getMealsForDate(date);
-    const log = this.chartData.recentLogs.find(l => l.date === date);
+    const meals = this.currentData && this.currentData.meals
+      ? this.currentData.meals[date]
+      : DataManager.getMealsForDate(date);
+    const sources = (this.currentData && this.currentData.meal_sources) || {};
+
+    // 編集用に複製（保存するまで元データは変えない）
+    const editable = {};
+    Object.keys(this.mealTypeInfo).forEach(type => {
+      editable[type] = ((meals && meals[type]) || []).map(item => ({ ...item }));
+    });
+
+    this.mealEditor = {
+      date,
+      notes,
+      meals: editable,
+      dirty: false,
+      edited: sources[date] === 'browser'
+    };
 
+    document.getElementById('modalDate').textContent = this.formatDateFull(date);
+    this.renderMealEditor();
+
+    // モーダルを表示
     const modal = document.getElementById('mealModal');
-    const modalDate = document.getElementById('modalDate');
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+  },
+
+  /**
+   * 食事エディタを描画
+   */
+  renderMealEditor() {
+    const editor = this.mealEditor;
     const mealDetails = document.getElementById('mealDetails');
+    if (!editor || !mealDetails) return;
 
-    // 日付を表示
-    modalDate.textContent = this.formatDateFull(date);
+    // 筋トレはトレーニング記録で入力するため、食事の区分だけを編集する
+    const mealTypes = Object.keys(this.mealTypeInfo).filter(type => !this.mealTypeInfo[type].isExercise);
+    const typeOptions = (selected) => mealTypes.map(type =>
+      `<option value="${type}" ${type === selected ? 'selected' : ''}>${this.mealTypeInfo[type].name}</option>`
+    ).join('');
 
-    // 合計を計算
-    let totalCal = 0, totalP = 0, totalF = 0, totalC = 0;
+    // 食品データベースからの入力候補
+    let detailsHtml = `<datalist id="foodSuggestions">${FoodCatalog.getSuggestions(editor.date).map(food =>
+      `<option value="${this.escapeHtml(food.name)}" label="${this.escapeHtml(`${FoodCatalog.formatBase(food)} ${Math.round(food.calories)}kcal`)}"></option>`
+    ).join('')}</datalist>`;
+    detailsHtml += '<div id="mealRatio"></div>';
+
+    // 食事データがない日はメモを参考として表示
+    const hasItems = Object.values(editor.meals).some(items => items.length > 0);
+    const noteText = this.getMealNoteText(editor);
+    if (editor.conversion) {
+      // メモから変換した内容のプレビュー（保存するまでは反映しない）
+      detailsHtml += '<div id="noteConversion" class="note-diff"></div>';
+    } else if (!hasItems) {
+      const convertButton = DataManager.parseMealNotes(noteText).structured
+        ? '<button type="button" class="btn-secondary" data-action="convert-notes">メモから食事データに変換</button>'
+        : '';
+      detailsHtml += noteText
+        ? `<div class="meal-editor-reference">${this.formatMealNotes(noteText)}${convertButton}</div>`
+        : '<p class="empty-state">食事詳細データがありません</p>';
+    }
 
-    if (meals) {
-      const mealTypes = {
-        breakfast: { name: '朝食', icon: '🌅' },
-        lunch: { name: '昼食', icon: '☀️' },
-        snack: { name: '間食', icon: '🍪' },
-        dinner: { name: '夕食', icon: '🌙' },
-        exercise: { name: '筋トレ', icon: '💪', isExercise: true }
-      };
+    // 各食事セクション（品目ごとに編集可能）
+    const templateOptions = MealTemplates.templates.map(template =>
+      `<option value="${template.id}">${this.escapeHtml(template.name)}</option>`
+    ).join('');
+    mealTypes.forEach(type => {
+      const typeInfo = this.mealTypeInfo[type];
+      const items = editor.meals[type];
+      detailsHtml += `
+        <div class="meal-section">
+          <h3>${typeInfo.icon} ${typeInfo.name} <span class="meal-calories" data-type-total="${type}"></span></h3>
+          <ul class="meal-items-list meal-edit-list">
+            ${items.map((item, index) => `
+              <li class="meal-item meal-edit-row ${item.status && item.status !== 'resolved' ? item.status : ''}" data-type="${type}" data-index="${index}">
+                <input type="text" class="meal-edit-name" data-field="name" value="${this.escapeHtml(item.name)}" list="foodSuggestions" placeholder="品目名 量（例: 白米 180g）" aria-label="品目名">
+                <select data-field="type" aria-label="食事区分">${typeOptions(type)}</select>
+                <span class="meal-item-nutrition">
+                  <input type="number" data-field="calories" step="1" value="${item.calories ?? ''}" aria-label="kcal" title="kcal">
+                  <input type="number" data-field="protein" step="0.1" value="${item.protein ?? ''}" aria-label="P" title="P (g)">
+                  <input type="number" data-field="fat" step="0.1" value="${item.fat ?? ''}" aria-label="F" title="F (g)">
+                  <input type="number" data-field="carbs" step="0.1" value="${item.carbs ?? ''}" aria-label="C" title="C (g)">
+                </span>
+                <button type="button" class="row-action" data-action="delete-item" aria-label="削除">🗑️</button>
+              </li>
+            `).join('')}
+          </ul>
+          <div class="meal-block-actions">
+            <button type="button" class="meal-add-item" data-action="add-item" data-type="${type}">＋ 追加</button>
+            <button type="button" class="meal-add-item" data-action="copy-previous" data-type="${type}">前日の${typeInfo.name}をコピー</button>
+            ${templateOptions ? `<select class="meal-add-item" data-template-type="${type}" aria-label="テンプレートから入力"><option value="">テンプレートから…</option>${templateOptions}</select>` : ''}
+            ${items.length > 0 ? `<button type="button" class="meal-add-item" data-action="save-template" data-type="${type}">テンプレートに保存</button>` : ''}
+          </div>
+        </div>
+      `;
+    });
 
-      // 各食事タイプのカロリー集計（割合表示用）
-      const mealCaloriesData = [];
-      let totalMealCalories = 0;
-
-      Object.keys(mealTypes).forEach(type => {
-        if (meals[type] && meals[type].length > 0) {
-          let typeCal = 0;
-          meals[type].forEach(item => {
-            const cal = item.calories || 0;
-            if (!mealTypes[type].isExercise) {
-              totalCal += cal;
-              typeCal += cal;
-            }
-            totalP += item.protein || 0;
-            totalF += item.fat || 0;
-            totalC += item.carbs || 0;
-          });
-          if (!mealTypes[type].isExercise && typeCal > 0) {
-            totalMealCalories += typeCal;
-            mealCaloriesData.push({ type: mealTypes[type].name, calories: typeCal, icon: mealTypes[type].icon });
-          }
-        }
-      });
+    // 筋トレ（トレーニング記録の内容と消費カロリー）
+    const exerciseInfo = this.mealTypeInfo.exercise;
+    const workout = TrainingLog.get(editor.date);
+    detailsHtml += `
+      <div class="meal-section">
+        <h3>${exerciseInfo.icon} ${exerciseInfo.name} ${workout ? `<span class="meal-calories exercise">-${TrainingLog.getCalories(editor.date)}kcal</span>` : ''}</h3>
+        ${workout ? `<p class="table-hint">${workout.exercises.map(exercise =>
+          `${this.escapeHtml(exercise.name)}${exercise.sets.length > 0 ? ` ${exercise.sets.length}セット` : ''}`
+        ).join('・')}</p>` : ''}
+        <div class="meal-block-actions">
+          <button type="button" class="meal-add-item" data-action="open-training">トレーニング記録を開く</button>
+        </div>
+      </div>
+    `;
 
-      // 食事詳細を表示
-      let detailsHtml = '';
-
-      // 割合バー
-      if (mealCaloriesData.length > 0 && totalMealCalories > 0) {
-        const colors = { '朝食': '#4ade80', '昼食': '#60a5fa', '間食': '#fbbf24', '夕食': '#f87171' };
-        detailsHtml += '<div class="meal-ratio-section">';
-        detailsHtml += '<div class="meal-ratio-bar">';
-        mealCaloriesData.forEach(item => {
-          const percent = Math.round((item.calories / totalMealCalories) * 100);
-          detailsHtml += `<div class="meal-ratio-segment" style="width: ${percent}%; background-color: ${colors[item.type] || '#94a3b8'};" title="${item.type}: ${item.calories}kcal (${percent}%)"></div>`;
-        });
-        detailsHtml += '</div>';
-        detailsHtml += '<div class="meal-ratio-legend">';
-        mealCaloriesData.forEach(item => {
-          const percent = Math.round((item.calories / totalMealCalories) * 100);
-          detailsHtml += `<span class="meal-ratio-item"><span class="meal-ratio-dot" style="background-color: ${colors[item.type] || '#94a3b8'};"></span>${item.type} ${percent}%</span>`;
-        });
-        detailsHtml += '</div>';
-        detailsHtml += '</div>';
-      }
+    // 保存・書き出し
+    detailsHtml += `
+      <div class="meal-editor-actions">
+        <button type="button" class="btn-primary" data-action="save-meals">保存</button>
+        <button type="button" class="btn-secondary" data-action="export-meals">JSONを書き出す</button>
+        ${editor.edited ? '<button type="button" class="btn-secondary" data-action="discard-meals">編集を破棄</button>' : ''}
+        <span id="mealEditorStatus" class="entry-status">${editor.edited ? 'この日の食事はブラウザで編集済みです' : ''}</span>
+      </div>
+    `;
 
-      // 各食事セクション
-      Object.keys(mealTypes).forEach(type => {
-        if (meals[type] && meals[type].length > 0) {
-          const typeInfo = mealTypes[type];
-          const typeCal = meals[type].reduce((sum, item) => sum + Math.abs(item.calories || 0), 0);
-          const calorieDisplay = typeInfo.isExercise
-            ? `<span class="meal-calories exercise">-${typeCal}kcal</span>`
-            : `<span class="meal-calories">${typeCal}kcal</span>`;
-
-          detailsHtml += `
-            <div class="meal-section">
-              <h3>${typeInfo.icon} ${typeInfo.name} ${calorieDisplay}</h3>
-              <ul class="meal-items-list">
-                ${meals[type].map(item => `<li>${item.name}</li>`).join('')}
-              </ul>
-            </div>
-          `;
-        }
+    mealDetails.innerHTML = detailsHtml;
+    this.updateMealEditorSummary();
+  },
+
+  /**
+   * 食事エディタの日のメモ（モーダルに渡されたものがなければ daily_log から）
+   */
+  getMealNoteText(editor) {
+    const log = (this.currentData.daily_log || []).find(l => l.date === editor.date);
+    return editor.notes || (log && log.notes) || '';
+  },
+
+  /**
+   * メモからの変換結果を差分形式で表示（- メモの行 / + 変換後の品目）
+   */
+  renderNoteConversion() {
+    const editor = this.mealEditor;
+    const el = document.getElementById('noteConversion');
+    if (!el || !editor.conversion) return;
+
+    const statusLabels = { estimated: 'kcalのみ按分', unresolved: '未解決' };
+    let html = '<h4>メモからの変換プレビュー</h4>';
+
+    editor.conversion.blocks.forEach(block => {
+      const items = editor.meals[block.type];
+      const converted = items.reduce((sum, item) => sum + Math.abs(item.calories || 0), 0);
+      html += '<div class="note-diff-block">';
+      block.raw.forEach(line => {
+        html += `<div class="diff-line removed">- ${this.escapeHtml(line)}</div>`;
       });
-      mealDetails.innerHTML = detailsHtml;
-    } else {
-      // mealsがない場合はログからデータを取得
+      items.forEach(item => {
+        const status = item.status && item.status !== 'resolved' ? item.status : '';
+        html += `<div class="diff-line added ${status}">+ ${this.mealTypeInfo[block.type].name}: ${this.escapeHtml(item.name)} ${item.calories}kcal P${item.protein} F${item.fat} C${item.carbs}${status ? `<span class="diff-flag">${statusLabels[status]}</span>` : ''}</div>`;
+      });
+      if (block.noteCalories) {
+        html += `<div class="diff-summary">メモ ${block.noteCalories}kcal → 変換 ${Math.round(converted)}kcal</div>`;
+      }
+      html += '</div>';
+    });
+
+    const pending = Object.values(editor.meals).flat().filter(item => item.status && item.status !== 'resolved').length;
+    html += `
+      <p class="table-hint">${pending > 0
+        ? `食品データベースで換算できなかった品目が${pending}件あります。品目名を「白米 150g」のように量つきで直すと再計算します`
+        : 'すべての品目を食品データベースで換算しました'}</p>
+      <button type="button" class="btn-secondary" data-action="cancel-conversion">変換を取り消す</button>
+    `;
+    el.innerHTML = html;
+  },
+
+  /**
+   * 合計・PFC割合・食事の割合バーを再計算して表示
+   */
+  updateMealEditorSummary() {
+    const editor = this.mealEditor;
+    if (!editor) return;
+    this.renderNoteConversion();
+
+    const totals = DataManager.calculateDayMealTotals(editor.meals);
+    let totalCal = totals.calories, totalP = totals.protein, totalF = totals.fat, totalC = totals.carbs;
+
+    // 食事データがない場合はログの値を表示
+    if (!totals.hasData) {
+      const log = (this.currentData.daily_log || []).find(l => l.date === editor.date);
       if (log) {
         totalCal = log.calories_intake || 0;
         totalP = log.protein || 0;
         totalF = log.fat || 0;
         totalC = log.carbs || 0;
       }
-      // メモがあれば表示（整形して表示）
-      const noteText = notes || (log && log.notes) || '';
-      if (noteText) {
-        mealDetails.innerHTML = this.formatMealNotes(noteText);
-      } else {
-        mealDetails.innerHTML = '<p class="empty-state">食事詳細データがありません</p>';
-      }
     }
 
     document.getElementById('modalTotalCalories').textContent = totalCal ? `${Math.round(totalCal).toLocaleString()} kcal` : '--';
@@ -982,117 +3243,388 @@ const App = {
       pfcRatioEl.innerHTML = '';
     }
 
-    // モーダルを表示
-    modal.classList.remove('hidden');
-    document.body.style.overflow = 'hidden';
+    // 区分ごとのカロリーと割合バー
+    const mealCaloriesData = [];
+    let totalMealCalories = 0;
+    Object.keys(this.mealTypeInfo).forEach(type => {
+      const typeInfo = this.mealTypeInfo[type];
+      const typeCal = editor.meals[type].reduce((sum, item) => sum + Math.abs(item.calories || 0), 0);
+      const totalEl = document.querySelector(`[data-type-total="${type}"]`);
+      if (totalEl) {
+        totalEl.textContent = typeCal ? `${typeInfo.isExercise ? '-' : ''}${Math.round(typeCal)}kcal` : '';
+      }
+      if (!typeInfo.isExercise && typeCal > 0) {
+        totalMealCalories += typeCal;
+        mealCaloriesData.push({ type: typeInfo.name, calories: Math.round(typeCal), color: typeInfo.color });
+      }
+    });
+
+    this.updateModalBurn(editor.date, totalCal);
+
+    const ratioEl = document.getElementById('mealRatio');
+    if (!ratioEl) return;
+    if (mealCaloriesData.length === 0) {
+      ratioEl.innerHTML = '';
+      return;
+    }
+
+    let ratioHtml = '<div class="meal-ratio-section"><div class="meal-ratio-bar">';
+    mealCaloriesData.forEach(item => {
+      const percent = Math.round((item.calories / totalMealCalories) * 100);
+      ratioHtml += `<div class="meal-ratio-segment" style="width: ${percent}%; background-color: ${item.color};" title="${item.type}: ${item.calories}kcal (${percent}%)"></div>`;
+    });
+    ratioHtml += '</div><div class="meal-ratio-legend">';
+    mealCaloriesData.forEach(item => {
+      const percent = Math.round((item.calories / totalMealCalories) * 100);
+      ratioHtml += `<span class="meal-ratio-item"><span class="meal-ratio-dot" style="background-color: ${item.color};"></span>${item.type} ${percent}%</span>`;
+    });
+    ratioHtml += '</div></div>';
+    ratioEl.innerHTML = ratioHtml;
   },
 
   /**
-   * 食事メモを整形して表示用HTMLを生成
+   * モーダルにその日の推定消費カロリーの内訳と収支を表示
    */
-  formatMealNotes(noteText) {
-    // 「/」や「朝食:」「昼食:」「夕食:」「間食:」「筋トレ:」で区切られた形式をパース
-    const mealTypes = {
-      '朝食': { icon: '🌅', items: [], calories: 0 },
-      '昼食': { icon: '☀️', items: [], calories: 0 },
-      '間食': { icon: '🍪', items: [], calories: 0 },
-      '夕食': { icon: '🌙', items: [], calories: 0 },
-      '筋トレ': { icon: '💪', items: [], calories: 0, isExercise: true }
-    };
+  updateModalBurn(date, intake) {
+    const burnEl = document.getElementById('modalBurn');
+    if (!burnEl) return;
+
+    const settings = this.currentData.settings || DataManager.getDefaultSettings();
+    const log = (this.currentData.daily_log || []).find(l => l.date === date) || {};
+    const weight = log.weight || DataManager.getLatestWeight(this.currentData.daily_log, date);
+    const bodyFat = DataManager.getLatestValue(this.currentData.daily_log, date, 'body_fat');
+    const energyModel = DataManager.getEnergyModel(settings);
+    const burn = DataManager.calculateBurnBreakdown(weight, log.steps, settings, TrainingLog.getCalories(date), bodyFat, energyModel);
+    if (!burn) {
+      burnEl.innerHTML = '';
+      return;
+    }
 
-    // 「/」で分割して各食事を取得
-    const parts = noteText.split('/').map(p => p.trim()).filter(p => p);
+    // 計算式ごとの比較（選択中の計算式を強調）
+    const comparison = DataManager.compareEnergyModels(weight, log.steps, settings, TrainingLog.getCalories(date), bodyFat, energyModel);
+    const comparisonHtml = comparison.map(row => `
+      <tr class="${row.model === burn.model ? 'selected' : ''}">
+        <td>${row.label}</td>
+        <td>${row.available ? row.breakdown.bmr.toLocaleString() : '-'}</td>
+        <td>${row.available ? row.breakdown.total.toLocaleString() : '体脂肪率の記録なし'}</td>
+        <td>${row.available && intake ? `${intake - row.breakdown.total > 0 ? '+' : ''}${Math.round(intake - row.breakdown.total).toLocaleString()}` : '-'}</td>
+      </tr>
+    `).join('');
+
+    const balance = intake ? Math.round(intake - burn.total) : null;
+    const balanceClass = balance < 0 ? 'positive' : (balance > 300 ? 'negative' : 'warning');
+    burnEl.innerHTML = `
+      <span class="pfc-ratio-label">推定消費:</span>
+      <span>基礎代謝 ${burn.bmr.toLocaleString()}</span> +
+      <span>日常活動 ${burn.neat.toLocaleString()}${burn.steps ? `（歩数 ${burn.steps.toLocaleString()}）` : ''}</span> +
+      <span>トレーニング ${burn.training.toLocaleString()}</span> =
+      <strong>${burn.total.toLocaleString()}kcal</strong>
+      ${balance !== null ? `<span class="calorie-balance ${balanceClass}">収支 ${balance > 0 ? '+' : ''}${balance.toLocaleString()}</span>` : ''}
+      <table class="energy-model-table">
+        <thead>
+          <tr><th>計算式（体重${weight}kg${bodyFat ? `・体脂肪率${bodyFat}%` : ''}）</th><th>基礎代謝</th><th>推定消費</th><th>収支</th></tr>
+        </thead>
+        <tbody>${comparisonHtml}</tbody>
+      </table>
+    `;
+  },
 
-    let hasStructuredData = false;
+  /**
+   * 食事エディタの入力を反映（数値・品目名は再描画せずに合計だけ更新）
+   */
+  handleMealEditorInput(target) {
+    const row = target.closest('.meal-edit-row');
+    if (!row || !this.mealEditor) return;
+
+    const { type, index } = row.dataset;
+    const items = this.mealEditor.meals[type];
+    const item = items[Number(index)];
+    const field = target.dataset.field;
+    this.mealEditor.dirty = true;
+
+    if (field === 'type') {
+      // 別の食事区分へ移動
+      items.splice(Number(index), 1);
+      this.mealEditor.meals[target.value].push(item);
+      this.renderMealEditor();
+      return;
+    }
 
-    parts.forEach(part => {
-      // 「朝食:」「昼食:」などのパターンをチェック
-      for (const mealType of Object.keys(mealTypes)) {
-        const pattern = new RegExp(`^${mealType}[:：]?\\s*(.+)`, 'i');
-        const match = part.match(pattern);
-        if (match) {
-          hasStructuredData = true;
-          const content = match[1].trim();
+    if (field === 'name') {
+      item.name = target.value;
+    } else {
+      item[field] = DataManager.parseNum(target.value) || 0;
+    }
+    this.updateMealEditorSummary();
+  },
 
-          // カロリーを抽出（最後の括弧内の数値kcal）
-          const calorieMatch = content.match(/\((\d+)kcal[^)]*\)\s*$/);
-          if (calorieMatch) {
-            mealTypes[mealType].calories = parseInt(calorieMatch[1], 10);
-          }
+  /**
+   * 品目名が食品データベースにあれば量に合わせてカロリー・PFCを入力
+   */
+  applyFoodToItem(input) {
+    const row = input.closest('.meal-edit-row');
+    if (!row || !this.mealEditor) return;
+
+    const resolved = FoodCatalog.resolve(input.value, this.mealEditor.date);
+    if (!resolved) return;
+
+    const item = this.mealEditor.meals[row.dataset.type][Number(row.dataset.index)];
+    Object.assign(item, resolved);
+    if (item.status) {
+      item.status = 'resolved';
+      row.classList.remove('estimated', 'unresolved');
+    }
+    this.mealEditor.dirty = true;
 
-          // カンマで分割して個別のアイテムに（カロリー表記は除去）
-          const items = content.split(',').map(item => {
-            // 各アイテムからカロリー表記を除去
-            return item.trim().replace(/\(\d+kcal[^)]*\)\s*$/, '').trim();
-          }).filter(item => item);
-          mealTypes[mealType].items.push(...items);
-          break;
-        }
-      }
+    // 再描画するとフォーカスが外れるので行の入力欄だけ更新
+    input.value = resolved.name;
+    ['calories', 'protein', 'fat', 'carbs'].forEach(field => {
+      row.querySelector(`[data-field="${field}"]`).value = resolved[field];
     });
+    this.updateMealEditorSummary();
+  },
+
+  /**
+   * 選んだテンプレートで食事区分を丸ごと置き換える
+   */
+  applyTemplateToEditor(select) {
+    const template = MealTemplates.get(select.value);
+    if (!template || !this.mealEditor) return;
 
-    // 構造化されたデータがある場合は整形して表示
-    if (hasStructuredData) {
-      // 食事のみの合計カロリー（筋トレを除く）
-      let totalMealCalories = 0;
-      const mealCaloriesData = [];
+    this.mealEditor.meals[select.dataset.templateType] = template.items.map(item => ({ ...item }));
+    this.mealEditor.dirty = true;
+    this.renderMealEditor();
+  },
 
-      for (const [mealType, data] of Object.entries(mealTypes)) {
-        if (data.items.length > 0 && !data.isExercise && data.calories > 0) {
-          totalMealCalories += data.calories;
-          mealCaloriesData.push({ type: mealType, calories: data.calories, icon: data.icon });
+  /**
+   * 食事エディタのボタン操作
+   */
+  handleMealEditorAction(button) {
+    const editor = this.mealEditor;
+    if (!editor) return;
+
+    switch (button.dataset.action) {
+      case 'add-item':
+        editor.meals[button.dataset.type].push({ name: '', calories: 0, protein: 0, fat: 0, carbs: 0 });
+        editor.dirty = true;
+        this.renderMealEditor();
+        break;
+      case 'delete-item': {
+        const row = button.closest('.meal-edit-row');
+        editor.meals[row.dataset.type].splice(Number(row.dataset.index), 1);
+        editor.dirty = true;
+        this.renderMealEditor();
+        break;
+      }
+      case 'open-training': {
+        const date = editor.date;
+        this.closeModal();
+        if (this.mealEditor) return;
+        this.trainingDraft = this.createTrainingDraft(date);
+        this.renderTrainingForm();
+        document.getElementById('trainingPanel').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        break;
+      }
+      case 'copy-previous': {
+        // 前日の同じ区分で丸ごと置き換える
+        const type = button.dataset.type;
+        const items = MealTemplates.getPreviousDayItems(this.currentData.meals, editor.date, type);
+        if (items.length === 0) {
+          document.getElementById('mealEditorStatus').textContent = `前日の${this.mealTypeInfo[type].name}の記録がありません`;
+          return;
         }
+        editor.meals[type] = items;
+        editor.dirty = true;
+        this.renderMealEditor();
+        break;
       }
-
-      let html = '';
-
-      // 割合の表示（食事のみ）
-      if (mealCaloriesData.length > 0 && totalMealCalories > 0) {
-        html += '<div class="meal-ratio-section">';
-        html += '<div class="meal-ratio-bar">';
-        const colors = { '朝食': '#4ade80', '昼食': '#60a5fa', '間食': '#fbbf24', '夕食': '#f87171' };
-        mealCaloriesData.forEach(item => {
-          const percent = Math.round((item.calories / totalMealCalories) * 100);
-          html += `<div class="meal-ratio-segment" style="width: ${percent}%; background-color: ${colors[item.type] || '#94a3b8'};" title="${item.type}: ${item.calories}kcal (${percent}%)"></div>`;
-        });
-        html += '</div>';
-        html += '<div class="meal-ratio-legend">';
-        mealCaloriesData.forEach(item => {
-          const percent = Math.round((item.calories / totalMealCalories) * 100);
-          const colors = { '朝食': '#4ade80', '昼食': '#60a5fa', '間食': '#fbbf24', '夕食': '#f87171' };
-          html += `<span class="meal-ratio-item"><span class="meal-ratio-dot" style="background-color: ${colors[item.type] || '#94a3b8'};"></span>${item.type} ${percent}%</span>`;
+      case 'save-template': {
+        const type = button.dataset.type;
+        const name = prompt('テンプレート名', `いつもの${this.mealTypeInfo[type].name}`);
+        if (!name) return;
+        MealTemplates.save({ name, mealType: type, items: editor.meals[type] })
+          .then(() => {
+            this.renderTemplatePanel();
+            this.renderMealEditor();
+            document.getElementById('mealEditorStatus').textContent = `テンプレート「${name}」を保存しました`;
+          })
+          .catch(error => {
+            document.getElementById('mealEditorStatus').textContent = `テンプレートの保存に失敗しました: ${error.message}`;
+          });
+        break;
+      }
+      case 'convert-notes': {
+        const conversion = FoodCatalog.convertNotes(this.getMealNoteText(editor), editor.date);
+        if (!conversion) return;
+        Object.keys(conversion.meals).forEach(type => {
+          editor.meals[type] = conversion.meals[type];
         });
-        html += '</div>';
-        html += '</div>';
+        editor.conversion = conversion;
+        editor.dirty = true;
+        this.renderMealEditor();
+        break;
       }
+      case 'cancel-conversion':
+        Object.keys(editor.meals).forEach(type => {
+          editor.meals[type] = [];
+        });
+        editor.conversion = null;
+        editor.dirty = false;
+        this.renderMealEditor();
+        break;
+      case 'save-meals':
+        this.saveMealEdits();
+        break;
+      case 'export-meals':
+        this.exportMealEdits();
+        break;
+      case 'discard-meals':
+        this.discardMealEdits();
+        break;
+    }
+  },
 
-      // 各食事セクション
-      for (const [mealType, data] of Object.entries(mealTypes)) {
-        if (data.items.length > 0) {
-          const calorieDisplay = data.calories > 0
-            ? (data.isExercise ? ` <span class="meal-calories exercise">-${data.calories}kcal</span>` : ` <span class="meal-calories">${data.calories}kcal</span>`)
-            : '';
-          html += `
-            <div class="meal-section">
-              <h3>${data.icon} ${mealType}${calorieDisplay}</h3>
-              <ul class="meal-items-list">
-                ${data.items.map(item => `<li>${item}</li>`).join('')}
-              </ul>
-            </div>
-          `;
-        }
-      }
-      return html;
+  /**
+   * 編集した食事を IndexedDB に保存してダッシュボードに反映
+   */
+  async saveMealEdits() {
+    const editor = this.mealEditor;
+    const meals = {};
+    Object.keys(editor.meals).forEach(type => {
+      meals[type] = editor.meals[type]
+        .filter(item => item.name.trim() || item.calories)
+        .map(({ name, calories, protein, fat, carbs }) => ({ name, calories, protein, fat, carbs }));
+    });
+
+    try {
+      await LocalStore.put('mealEdits', { date: editor.date, meals, updated_at: new Date().toISOString() });
+      editor.meals = meals;
+      editor.dirty = false;
+      editor.edited = true;
+      editor.conversion = null;
+      await this.refreshBrowserData();
+      FoodCatalog.learn(editor.date, meals).catch(error => {
+        console.log('食品データベースを更新できませんでした:', error);
+      });
+      this.renderMealEditor();
+      document.getElementById('mealEditorStatus').textContent = '保存しました';
+    } catch (error) {
+      console.error('食事の保存に失敗しました:', error);
+      document.getElementById('mealEditorStatus').textContent = `保存に失敗しました: ${error.message}`;
+    }
+  },
+
+  /**
+   * ブラウザでの編集を破棄して読み込み元の食事に戻す
+   */
+  async discardMealEdits() {
+    const editor = this.mealEditor;
+    if (!confirm(`${dayjs(editor.date).format('M/D')} の食事の編集を破棄しますか？`)) return;
+
+    try {
+      await LocalStore.delete('mealEdits', editor.date);
+      await this.refreshBrowserData();
+      this.showMealModal(editor.date, editor.notes);
+    } catch (error) {
+      console.error('食事の編集の破棄に失敗しました:', error);
+      document.getElementById('mealEditorStatus').textContent = `破棄に失敗しました: ${error.message}`;
     }
+  },
+
+  /**
+   * 編集中の1日分を sample.json の meals 形式で書き出す
+   */
+  exportMealEdits() {
+    const editor = this.mealEditor;
+    const json = DataManager.exportDayMeals(editor.date, editor.meals);
+    this.downloadFile(`meals_${editor.date}.json`, json, 'application/json');
+  },
+
+  /**
+   * 文字列をファイルとしてダウンロード
+   */
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * 食事メモを整形して表示用HTMLを生成
+   */
+  formatMealNotes(noteText) {
+    const parsed = DataManager.parseMealNotes(noteText);
 
     // 構造化されていない場合はそのまま表示
-    return `<div class="meal-notes"><p>${noteText}</p></div>`;
+    if (!parsed.structured) {
+      return `<div class="meal-notes"><p>${noteText}</p></div>`;
+    }
+
+    // 食事のみの合計カロリー（筋トレを除く）
+    let totalMealCalories = 0;
+    const mealCaloriesData = [];
+    Object.keys(parsed.blocks).forEach(type => {
+      const block = parsed.blocks[type];
+      const typeInfo = this.mealTypeInfo[type];
+      if (!typeInfo.isExercise && block.calories > 0) {
+        totalMealCalories += block.calories;
+        mealCaloriesData.push({ type: typeInfo.name, calories: block.calories, color: typeInfo.color });
+      }
+    });
+
+    let html = '';
+
+    // 割合の表示（食事のみ）
+    if (mealCaloriesData.length > 0 && totalMealCalories > 0) {
+      html += '<div class="meal-ratio-section">';
+      html += '<div class="meal-ratio-bar">';
+      mealCaloriesData.forEach(item => {
+        const percent = Math.round((item.calories / totalMealCalories) * 100);
+        html += `<div class="meal-ratio-segment" style="width: ${percent}%; background-color: ${item.color};" title="${item.type}: ${item.calories}kcal (${percent}%)"></div>`;
+      });
+      html += '</div>';
+      html += '<div class="meal-ratio-legend">';
+      mealCaloriesData.forEach(item => {
+        const percent = Math.round((item.calories / totalMealCalories) * 100);
+        html += `<span class="meal-ratio-item"><span class="meal-ratio-dot" style="background-color: ${item.color};"></span>${item.type} ${percent}%</span>`;
+      });
+      html += '</div>';
+      html += '</div>';
+    }
+
+    // 各食事セクション
+    Object.keys(parsed.blocks).forEach(type => {
+      const block = parsed.blocks[type];
+      const typeInfo = this.mealTypeInfo[type];
+      const calorieDisplay = block.calories > 0
+        ? (typeInfo.isExercise ? ` <span class="meal-calories exercise">-${block.calories}kcal</span>` : ` <span class="meal-calories">${block.calories}kcal</span>`)
+        : '';
+      html += `
+        <div class="meal-section">
+          <h3>${typeInfo.icon} ${typeInfo.name}${calorieDisplay}</h3>
+          <ul class="meal-items-list">
+            ${block.items.map(item => `<li>${item}</li>`).join('')}
+          </ul>
+        </div>
+      `;
+    });
+    return html;
   },
 
   /**
    * モーダルを閉じる
    */
   closeModal() {
+    if (this.mealEditor && this.mealEditor.dirty && !confirm('保存していない変更があります。閉じますか？')) {
+      return;
+    }
+    this.mealEditor = null;
+
     const modal = document.getElementById('mealModal');
     if (modal) {
       modal.classList.add('hidden');
@@ -1100,6 +3632,38 @@ const App = {
     }
   },
 
+  /**
+   * PFCのグラム数を割合表示（P30% / F20% / C50%）のHTMLにする
+   */
+  formatPfcHtml(protein, fat, carbs) {
+    const proteinCal = protein * 4;
+    const fatCal = fat * 9;
+    const carbsCal = carbs * 4;
+    const totalPfcCal = proteinCal + fatCal + carbsCal;
+    if (totalPfcCal <= 0) return '-';
+
+    const pRatio = Math.round((proteinCal / totalPfcCal) * 100);
+    const fRatio = Math.round((fatCal / totalPfcCal) * 100);
+    const cRatio = Math.round((carbsCal / totalPfcCal) * 100);
+
+    return `<span class="pfc-display">
+      <span class="p">P${pRatio}%</span> /
+      <span class="f">F${fRatio}%</span> /
+      <span class="c">C${cRatio}%</span>
+    </span>`;
+  },
+
+  /**
+   * HTMLに埋め込む文字列をエスケープ
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
   /**
    * 日付をフォーマット（短縮形）
    */
@@ -1160,7 +3724,7 @@ const App = {
   /**
    * データの入力漏れをチェックして警告を表示
    * @param {Array} logs - スプレッドシートからのログデータ
-   * @param {Object} meals - sample.jsonからの食事データ
+   * @param {Object} meals - Mealsシート・sample.jsonからの食事データ
    */
   checkDataCompleteness(logs, meals) {
     const warnings = [];
@@ -1209,7 +3773,7 @@ const App = {
             date: displayDate,
             dateStr: dateStr,
             type: 'missing_meals',
-            message: `食事詳細（sample.json）が未登録`
+            message: `食事詳細（Mealsシート / sample.json）が未登録`
           });
         }
       }
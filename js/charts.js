@@ -71,7 +71,7 @@ const ChartManager = {
   /**
    * 体重推移グラフを描画
    */
-  renderWeightChart(data) {
+  renderWeightChart(data, forecast) {
     const ctx = document.getElementById('weightChart');
     if (!ctx) return;
 
@@ -79,15 +79,20 @@ const ChartManager = {
       this.charts.weight.destroy();
     }
 
-    // nullを除外して最小値・最大値を計算
-    const validData = data.data.filter(d => d !== null);
+    // 到達予測の延長線（最新日から先の日付をラベルに追加）
+    const projection = WeightForecast.buildChartSeries(forecast, data.dates);
+    const labels = [...data.labels, ...projection.labels];
+    const targetLine = labels.map(() => data.targetLine[0]);
+
+    // nullを除外して最小値・最大値を計算（予測線も表示範囲に含める）
+    const validData = [...data.data, ...projection.expected].filter(d => d !== null);
     const minWeight = Math.min(...validData) - 2;
     const maxWeight = Math.max(...validData) + 2;
 
     this.charts.weight = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: data.labels,
+        labels: labels,
         datasets: [
           {
             label: '体重 (kg)',
@@ -99,7 +104,7 @@ const ChartManager = {
             tension: 0.3,
             pointRadius: 4,
             pointHoverRadius: 6,
-            spanGaps: true
+            spanGaps: false  // 記録のない日は線を途切れさせる
           },
           {
             label: '7日移動平均',
@@ -114,12 +119,37 @@ const ChartManager = {
           },
           {
             label: '目標体重',
-            data: data.targetLine,
+            data: targetLine,
             borderColor: this.colors.success,
             backgroundColor: 'transparent',
             borderWidth: 2,
             borderDash: [10, 5],
             pointRadius: 0
+          },
+          {
+            label: '到達予測',
+            data: projection.expected,
+            borderColor: this.colors.warning,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            borderDash: [4, 4],
+            pointRadius: 0
+          },
+          {
+            // 予測の幅（楽観〜悲観）は凡例に出さず塗りつぶしのみ
+            label: '予測（楽観）',
+            data: projection.optimistic,
+            borderColor: 'transparent',
+            backgroundColor: 'transparent',
+            pointRadius: 0
+          },
+          {
+            label: '予測（悲観）',
+            data: projection.pessimistic,
+            borderColor: 'transparent',
+            backgroundColor: 'rgba(245, 158, 11, 0.15)',
+            fill: '-1',
+            pointRadius: 0
           }
         ]
       },
@@ -129,7 +159,11 @@ const ChartManager = {
           ...this.getCommonOptions().plugins,
           legend: {
             ...this.getCommonOptions().plugins.legend,
-            position: 'top'
+            position: 'top',
+            labels: {
+              ...this.getCommonOptions().plugins.legend.labels,
+              filter: (item) => !item.text.startsWith('予測（')
+            }
           }
         },
         scales: {
@@ -190,6 +224,17 @@ const ChartManager = {
             borderWidth: 2,
             borderDash: [5, 5],
             pointRadius: 0
+          },
+          {
+            label: '実測消費（逆算）',
+            data: data.adaptiveTdee || [],
+            type: 'line',
+            borderColor: this.colors.secondary,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            tension: 0.3,
+            pointRadius: 0,
+            spanGaps: true
           }
         ]
       },
@@ -211,6 +256,9 @@ const ChartManager = {
                 if (context.datasetIndex === 1) {
                   return `目標: ${context.parsed.y.toLocaleString()} kcal`;
                 }
+                if (context.datasetIndex === 2) {
+                  return `実測消費: ${context.parsed.y.toLocaleString()} kcal`;
+                }
                 return `摂取: ${context.parsed.y.toLocaleString()} kcal`;
               },
               afterBody: (context) => {
@@ -355,7 +403,8 @@ const ChartManager = {
     }
 
     // データがない場合
-    if (!data.data || data.data.length === 0) {
+    const validWaist = (data.data || []).filter(d => d !== null);
+    if (validWaist.length === 0) {
       this.charts.waist = new Chart(ctx, {
         type: 'line',
         data: {
@@ -380,8 +429,8 @@ const ChartManager = {
       return;
     }
 
-    const minWaist = Math.min(...data.data) - 2;
-    const maxWaist = Math.max(...data.data) + 2;
+    const minWaist = Math.min(...validWaist) - 2;
+    const maxWaist = Math.max(...validWaist) + 2;
 
     this.charts.waist = new Chart(ctx, {
       type: 'line',
@@ -397,7 +446,8 @@ const ChartManager = {
             fill: true,
             tension: 0.3,
             pointRadius: 6,
-            pointHoverRadius: 8
+            pointHoverRadius: 8,
+            spanGaps: true  // 腹囲は週に数回の計測のため測定点を結ぶ
           }
         ]
       },
@@ -508,15 +558,540 @@ const ChartManager = {
     });
   },
 
+  /**
+   * エネルギー収支グラフを描画（日ごとの収支の棒と開始日からの累積の線）
+   * 消費は基礎代謝・日常活動・トレーニングの合計で、内訳はツールチップに表示
+   */
+  renderEnergyBalanceChart(data) {
+    const ctx = document.getElementById('energyBalanceChart');
+    if (!ctx) return;
+
+    if (this.charts.energyBalance) {
+      this.charts.energyBalance.destroy();
+    }
+
+    const barColors = data.daily.map(balance => (balance !== null && balance > 0
+      ? 'rgba(239, 68, 68, 0.6)'
+      : 'rgba(16, 185, 129, 0.6)'));
+
+    this.charts.energyBalance = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: data.labels,
+        datasets: [
+          {
+            label: '日ごとの収支',
+            data: data.daily,
+            backgroundColor: barColors,
+            borderWidth: 0,
+            yAxisID: 'y'
+          },
+          {
+            label: '累積',
+            data: data.cumulative,
+            type: 'line',
+            borderColor: this.colors.secondary,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.2,
+            yAxisID: 'y1'
+          }
+        ]
+      },
+      options: {
+        ...this.getCommonOptions(),
+        plugins: {
+          ...this.getCommonOptions().plugins,
+          tooltip: {
+            ...this.getCommonOptions().plugins.tooltip,
+            callbacks: {
+              label: (context) => (context.parsed.y === null
+                ? null
+                : `${context.dataset.label}: ${context.parsed.y > 0 ? '+' : ''}${Math.round(context.parsed.y).toLocaleString()} kcal`),
+              afterBody: (context) => {
+                const burn = data.burn[context[0].dataIndex];
+                return burn ? `消費 ${DataManager.formatBurnBreakdown(burn)}` : '';
+              }
+            }
+          }
+        },
+        scales: {
+          x: this.getCommonOptions().scales.x,
+          y: {
+            ...this.getCommonOptions().scales.y,
+            position: 'left',
+            title: {
+              display: true,
+              text: '日ごと (kcal)',
+              color: this.getTextColor()
+            }
+          },
+          y1: {
+            ...this.getCommonOptions().scales.y,
+            position: 'right',
+            grid: { drawOnChartArea: false },
+            title: {
+              display: true,
+              text: '累積 (kcal)',
+              color: this.getTextColor()
+            }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * 累積収支から予想した体重変化と実際の体重変化（7日移動平均）を描画
+   * 2本の線が離れていくと、記録漏れか消費カロリーの推定のずれを示す
+   */
+  renderBalanceDriftChart(data) {
+    const ctx = document.getElementById('balanceDriftChart');
+    if (!ctx) return;
+
+    if (this.charts.balanceDrift) {
+      this.charts.balanceDrift.destroy();
+    }
+
+    this.charts.balanceDrift = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: data.labels,
+        datasets: [
+          {
+            label: '収支からの予想',
+            data: data.expected,
+            borderColor: this.colors.warning,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            borderDash: [5, 5],
+            pointRadius: 0,
+            tension: 0.2,
+            spanGaps: true
+          },
+          {
+            label: '実際（7日平均）',
+            data: data.actual,
+            borderColor: this.colors.primary,
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.2,
+            spanGaps: true
+          }
+        ]
+      },
+      options: {
+        ...this.getCommonOptions(),
+        plugins: {
+          ...this.getCommonOptions().plugins,
+          tooltip: {
+            ...this.getCommonOptions().plugins.tooltip,
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${context.parsed.y > 0 ? '+' : ''}${context.parsed.y.toFixed(2)} kg`
+            }
+          }
+        },
+        scales: {
+          ...this.getCommonOptions().scales,
+          y: {
+            ...this.getCommonOptions().scales.y,
+            title: {
+              display: true,
+              text: '開始日からの変化 (kg)',
+              color: this.getTextColor()
+            }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * 体組成の変化を描画（最初の測定からの脂肪量・除脂肪量の増減）
+   * 減った体重が脂肪か除脂肪（筋肉など）かを見分けるためのグラフ
+   */
+  renderBodyCompositionChart(data) {
+    const ctx = document.getElementById('bodyCompositionChart');
+    if (!ctx) return;
+
+    if (this.charts.bodyComposition) {
+      this.charts.bodyComposition.destroy();
+    }
+
+    // データがない場合
+    if (data.fatChange.every(d => d === null)) {
+      this.charts.bodyComposition = new Chart(ctx, {
+        type: 'line',
+        data: { labels: ['データなし'], datasets: [] },
+        options: {
+          ...this.getCommonOptions(),
+          plugins: {
+            ...this.getCommonOptions().plugins,
+            title: {
+              display: true,
+              text: '体脂肪率の記録がありません',
+              color: this.getTextColor()
+            }
+          }
+        }
+      });
+      return;
+    }
+
+    this.charts.bodyComposition = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: data.labels,
+        datasets: [
+          {
+            label: '脂肪量の変化',
+            data: data.fatChange,
+            borderColor: this.colors.warning,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 3,
+            tension: 0.2,
+            spanGaps: true
+          },
+          {
+            label: '除脂肪量の変化',
+            data: data.leanChange,
+            borderColor: this.colors.info,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 3,
+            tension: 0.2,
+            spanGaps: true
+          }
+        ]
+      },
+      options: {
+        ...this.getCommonOptions(),
+        plugins: {
+          ...this.getCommonOptions().plugins,
+          tooltip: {
+            ...this.getCommonOptions().plugins.tooltip,
+            callbacks: {
+              label: (context) => {
+                const absolute = context.datasetIndex === 0 ? data.fatMass : data.leanMass;
+                const value = context.parsed.y;
+                return `${context.dataset.label}: ${value > 0 ? '+' : ''}${value.toFixed(1)} kg（${absolute[context.dataIndex]} kg）`;
+              }
+            }
+          }
+        },
+        scales: {
+          ...this.getCommonOptions().scales,
+          y: {
+            ...this.getCommonOptions().scales.y,
+            title: {
+              display: true,
+              text: '最初の測定からの変化 (kg)',
+              color: this.getTextColor()
+            }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * 部位別の採寸（最初の測定からの変化）を描画
+   * @param {Object} data - { labels, values, changes } と部位の表示名
+   * @param {Object} sites - 部位（キー → 表示名）
+   */
+  renderMeasurementsChart(data, sites) {
+    const ctx = document.getElementById('measurementsChart');
+    if (!ctx) return;
+
+    if (this.charts.measurements) {
+      this.charts.measurements.destroy();
+    }
+
+    const measured = Object.keys(sites).filter(site => data.changes[site].some(d => d !== null));
+
+    // データがない場合
+    if (measured.length === 0) {
+      this.charts.measurements = new Chart(ctx, {
+        type: 'line',
+        data: { labels: ['データなし'], datasets: [] },
+        options: {
+          ...this.getCommonOptions(),
+          plugins: {
+            ...this.getCommonOptions().plugins,
+            title: {
+              display: true,
+              text: '採寸の記録がありません',
+              color: this.getTextColor()
+            }
+          }
+        }
+      });
+      return;
+    }
+
+    const palette = [this.colors.primary, this.colors.secondary, this.colors.success, this.colors.warning, this.colors.danger, this.colors.info];
+
+    this.charts.measurements = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: data.labels,
+        datasets: measured.map(site => {
+          const color = palette[Object.keys(sites).indexOf(site) % palette.length];
+          return {
+            label: sites[site],
+            site,
+            data: data.changes[site],
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            pointRadius: 3,
+            tension: 0.2,
+            spanGaps: true
+          };
+        })
+      },
+      options: {
+        ...this.getCommonOptions(),
+        plugins: {
+          ...this.getCommonOptions().plugins,
+          tooltip: {
+            ...this.getCommonOptions().plugins.tooltip,
+            callbacks: {
+              label: (context) => {
+                const value = context.parsed.y;
+                const absolute = data.values[context.dataset.site][context.dataIndex];
+                return `${context.dataset.label}: ${value > 0 ? '+' : ''}${value.toFixed(1)} cm（${absolute} cm）`;
+              }
+            }
+          }
+        },
+        scales: {
+          ...this.getCommonOptions().scales,
+          y: {
+            ...this.getCommonOptions().scales.y,
+            title: {
+              display: true,
+              text: '最初の測定からの変化 (cm)',
+              color: this.getTextColor()
+            }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * 週平均体重のスパークラインを描画（軸・凡例なし）
+   */
+  renderWeeklySparkline(weeks) {
+    const ctx = document.getElementById('weeklySparkline');
+    if (!ctx) return;
+
+    if (this.charts.weeklySparkline) {
+      this.charts.weeklySparkline.destroy();
+    }
+
+    const points = (weeks || []).filter(w => w.avgWeight !== null);
+    if (points.length === 0) return;
+
+    this.charts.weeklySparkline = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: points.map(w => DataManager.formatDate(w.weekStart)),
+        datasets: [
+          {
+            data: points.map(w => w.avgWeight),
+            borderColor: this.colors.secondary,
+            backgroundColor: 'rgba(139, 92, 246, 0.1)',
+            borderWidth: 2,
+            fill: true,
+            tension: 0.3,
+            pointRadius: 2
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              title: (context) => `${context[0].label}〜の週`,
+              label: (context) => `平均 ${context.parsed.y.toFixed(2)} kg`
+            }
+          }
+        },
+        scales: {
+          x: { display: false },
+          y: { display: false }
+        }
+      }
+    });
+  },
+
+  /**
+   * 部位別の週間ボリューム（積み上げ棒グラフ）を描画
+   * @param {Array} weeks - TrainingLog.calculateWeeklyVolume の結果
+   * @param {Object} muscleGroups - 部位キー → 表示名
+   */
+  renderTrainingVolumeChart(weeks, muscleGroups) {
+    const ctx = document.getElementById('trainingVolumeChart');
+    if (!ctx) return;
+
+    if (this.charts.trainingVolume) {
+      this.charts.trainingVolume.destroy();
+    }
+
+    const palette = [this.colors.primary, this.colors.secondary, this.colors.success, this.colors.warning, this.colors.danger, this.colors.info, this.colors.gray];
+    const muscles = Object.keys(muscleGroups).filter(muscle => weeks.some(w => w.volume[muscle]));
+
+    this.charts.trainingVolume = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: weeks.map(w => `${DataManager.formatDate(w.weekStart)}〜`),
+        datasets: muscles.map(muscle => {
+          const color = palette[Object.keys(muscleGroups).indexOf(muscle) % palette.length];
+          return {
+            label: muscleGroups[muscle],
+            data: weeks.map(w => Math.round(w.volume[muscle] || 0)),
+            backgroundColor: color,
+            borderColor: color,
+            borderWidth: 1
+          };
+        })
+      },
+      options: {
+        ...this.getCommonOptions(),
+        plugins: {
+          ...this.getCommonOptions().plugins,
+          tooltip: {
+            ...this.getCommonOptions().plugins.tooltip,
+            callbacks: {
+              label: (context) => {
+                const muscle = muscles[context.datasetIndex];
+                const sets = weeks[context.dataIndex].sets[muscle] || 0;
+                return `${context.dataset.label}: ${context.parsed.y.toLocaleString()} kg（${sets}セット）`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: { ...this.getCommonOptions().scales.x, stacked: true },
+          y: {
+            ...this.getCommonOptions().scales.y,
+            stacked: true,
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'ボリューム (kg)',
+              color: this.getTextColor()
+            }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * 種目ごとの推定1RM・ボリュームの推移を描画（自己ベスト更新日は強調）
+   * @param {Array} history - TrainingLog.getExerciseHistory の結果
+   */
+  renderExerciseHistoryChart(history) {
+    const ctx = document.getElementById('exerciseHistoryChart');
+    if (!ctx) return;
+
+    if (this.charts.exerciseHistory) {
+      this.charts.exerciseHistory.destroy();
+    }
+
+    this.charts.exerciseHistory = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: history.map(h => DataManager.formatDate(h.date)),
+        datasets: [
+          {
+            label: '推定1RM (kg)',
+            data: history.map(h => h.bestE1rm),
+            borderColor: this.colors.primary,
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            borderWidth: 2,
+            tension: 0.2,
+            pointRadius: history.map(h => (h.pr ? 6 : 3)),
+            pointStyle: history.map(h => (h.pr ? 'star' : 'circle')),
+            pointBackgroundColor: history.map(h => (h.pr ? this.colors.warning : this.colors.primary)),
+            pointBorderColor: history.map(h => (h.pr ? this.colors.warning : this.colors.primary)),
+            yAxisID: 'y'
+          },
+          {
+            label: 'ボリューム (kg)',
+            data: history.map(h => h.volume),
+            type: 'bar',
+            backgroundColor: 'rgba(139, 92, 246, 0.3)',
+            borderColor: this.colors.secondary,
+            borderWidth: 1,
+            yAxisID: 'y1'
+          }
+        ]
+      },
+      options: {
+        ...this.getCommonOptions(),
+        plugins: {
+          ...this.getCommonOptions().plugins,
+          tooltip: {
+            ...this.getCommonOptions().plugins.tooltip,
+            callbacks: {
+              afterBody: (context) => {
+                const entry = history[context[0].dataIndex];
+                return `${entry.sets}セット・最大 ${entry.topWeight}kg${entry.pr ? '（自己ベスト更新）' : ''}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: this.getCommonOptions().scales.x,
+          y: {
+            ...this.getCommonOptions().scales.y,
+            position: 'left',
+            title: {
+              display: true,
+              text: '推定1RM (kg)',
+              color: this.getTextColor()
+            }
+          },
+          y1: {
+            ...this.getCommonOptions().scales.y,
+            position: 'right',
+            beginAtZero: true,
+            grid: { drawOnChartArea: false },
+            title: {
+              display: true,
+              text: 'ボリューム (kg)',
+              color: this.getTextColor()
+            }
+          }
+        }
+      }
+    });
+  },
+
   /**
    * すべてのグラフを描画
    */
   renderAllCharts(chartData) {
-    this.renderWeightChart(chartData.weight);
+    this.renderWeightChart(chartData.weight, chartData.forecast);
     this.renderCalorieChart(chartData.calories);
     this.renderPFCChart(chartData.stats.pfc);
     this.renderWaistChart(chartData.waist);
+    this.renderMeasurementsChart(chartData.measurements, DataManager.measurementSites);
+    this.renderBodyCompositionChart(chartData.bodyComposition);
     this.renderStepsChart(chartData.steps);
+    this.renderEnergyBalanceChart(chartData.energyBalance);
+    this.renderBalanceDriftChart(chartData.balanceDrift);
+    this.renderWeeklySparkline(chartData.weeklySummaries);
   },
 
   /**
@@ -0,0 +1,209 @@
+/**
+ * CSV読み書きモジュール
+ * 文字コード（UTF-8 / Shift_JIS）と区切り文字を判定してCSVを行の配列にし、日々の記録をCSVに書き出す
+ */
+
+const CsvIO = {
+  // 区切り文字の候補（判定できなければカンマ）
+  delimiters: [',', '\t', ';'],
+  delimiterLabels: {
+    ',': 'カンマ',
+    '\t': 'タブ',
+    ';': 'セミコロン'
+  },
+
+  // 書き出しの列（見出しは読み込み時の自動判定と一致させる）
+  exportColumns: [
+    { field: 'date', label: '日付' },
+    { field: 'weight', label: '体重' },
+    { field: 'waist', label: '腹囲' },
+    { field: 'body_fat', label: '体脂肪率' },
+    { field: 'steps', label: '歩数' },
+    { field: 'calories_intake', label: '摂取カロリー' },
+    { field: 'protein', label: 'P' },
+    { field: 'fat', label: 'F' },
+    { field: 'carbs', label: 'C' },
+    { field: 'notes', label: 'メモ' }
+  ],
+
+  // 書き出す食事の合計の列（読み込み時は、選んだ場合だけ摂取カロリー・PFCが空欄の日の補完に使う）
+  mealTotalColumns: [
+    { field: 'calories', label: '食事の合計カロリー' },
+    { field: 'protein', label: '食事の合計P' },
+    { field: 'fat', label: '食事の合計F' },
+    { field: 'carbs', label: '食事の合計C' }
+  ],
+
+  /**
+   * ファイルを読み込んで文字コード・区切り文字を判定し、行の配列にする
+   * @param {File} file - 選択またはドロップされたファイル
+   * @returns {Object} { name, encoding, delimiter, rows }
+   */
+  async read(file) {
+    const { text, encoding } = this.decode(await file.arrayBuffer());
+    const delimiter = this.detectDelimiter(text);
+    return { name: file.name, encoding, delimiter, rows: this.parse(text, delimiter) };
+  },
+
+  /**
+   * バイト列を文字列に変換（BOM → UTF-8として正しいか → Shift_JIS の順に判定）
+   * 日本のアプリの書き出しは BOM なしの Shift_JIS が多い
+   */
+  decode(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'UTF-16' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'UTF-16' };
+    }
+
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+    } catch (error) {
+      return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'Shift_JIS' };
+    }
+  },
+
+  /**
+   * 区切り文字を判定（先頭の行で列数がそろい、列の多いものを選ぶ）
+   */
+  detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20).join('\n');
+    let best = this.delimiters[0];
+    let bestScore = 0;
+
+    this.delimiters.forEach(delimiter => {
+      const counts = this.parse(sample, delimiter).map(row => row.length);
+      if (counts.length === 0 || counts[0] < 2) return;
+      const consistent = counts.filter(count => count === counts[0]).length;
+      const score = consistent * 100 + counts[0];
+      if (score > bestScore) {
+        best = delimiter;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  },
+
+  /**
+   * CSVを行の配列にパース（ダブルクォート・改行を含むセルに対応、空行は除く）
+   * 桁区切りのカンマつきの数値（"8,532"）はカンマを除く
+   */
+  parse(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endCell = () => {
+      const value = cell.trim();
+      row.push(/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value) ? value.replace(/,/g, '') : value);
+      cell = '';
+    };
+    const endRow = () => {
+      endCell();
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        endCell();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+      } else if (char !== '\uFEFF') {
+        cell += char;
+      }
+    }
+    endRow();
+
+    return rows;
+  },
+
+  /**
+   * 行の配列をCSVの文字列にする（区切り文字・引用符・改行を含むセルは引用符で囲む）
+   */
+  stringify(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter)).join('\r\n');
+  },
+
+  /**
+   * 日々の記録と日ごとの食事の合計をCSVに書き出す（Excelで開けるよう BOM つきの UTF-8）
+   * @param {Array} dailyLog - マージ済みの daily_log
+   * @param {Object} meals - 日付ごとの食事データ
+   */
+  exportDailyLog(dailyLog, meals) {
+    const byDate = {};
+    (dailyLog || []).forEach(log => {
+      byDate[log.date] = log;
+    });
+    Object.keys(meals || {}).forEach(date => {
+      if (!byDate[date] && DataManager.calculateDayMealTotals(meals[date]).hasData) byDate[date] = { date };
+    });
+
+    const header = [...this.exportColumns, ...this.mealTotalColumns].map(column => column.label);
+    const rows = Object.keys(byDate).sort().map(date => {
+      const log = byDate[date];
+      const totals = DataManager.calculateDayMealTotals((meals || {})[date]);
+      return [
+        ...this.exportColumns.map(column => log[column.field] ?? ''),
+        ...this.mealTotalColumns.map(column => totals.hasData
+          ? Math.round(totals[column.field] * 10) / 10
+          : '')
+      ];
+    });
+
+    return `\uFEFF${this.stringify([header, ...rows])}`;
+  },
+
+  /**
+   * 見出し行に食事の合計の列があるか
+   */
+  hasMealTotalColumns(headers) {
+    return this.mealTotalColumns.some(column => headers.includes(column.label));
+  },
+
+  /**
+   * 摂取カロリー・PFCが空欄の記録を食事の合計の列で補う（食事だけ記録した日を書き出したCSVを読み戻すため）
+   * @param {Array} rows - CSVの行の配列（先頭は見出し行）
+   * @param {Object} resolved - DataManager.resolveInputColumns の結果
+   * @param {Array} entries - rows を DataManager.parseInputRows で変換した記録
+   */
+  fillFromMealTotals(rows, resolved, entries) {
+    const fields = { calories: 'calories_intake', protein: 'protein', fat: 'fat', carbs: 'carbs' };
+    const columns = { date: resolved.columns.date };
+    this.mealTotalColumns.forEach(column => {
+      const index = rows[0].indexOf(column.label);
+      if (index >= 0) columns[fields[column.field]] = index;
+    });
+    if (Object.keys(columns).length === 1) return entries;
+
+    // 日付の列が同じなので entries と同じ順に並ぶ
+    const totals = DataManager.parseInputRows(rows, { columns, custom: [] });
+    return entries.map((entry, i) => {
+      const filled = { ...entry };
+      Object.values(fields).forEach(field => {
+        if (filled[field] === null && totals[i][field] !== null) filled[field] = totals[i][field];
+      });
+      return filled;
+    });
+  }
+};
@@ -1,132 +1,16 @@
 /**
- * データ取得・加工モジュール
- * Google Sheets（公開URL）からデータを取得
+ * データ加工モジュール
+ * データソース（sources.js）が取得したシート・JSONをパースし、グラフ・集計用に加工
  */
 
 console.log('=== data.js loaded (v20260202f) ===');
 
 const DataManager = {
-  // 設定
-  config: {
-    sheetId: '12nJDx3anatLU4vMt09JvJek5fyS9uFE6AvWYk0uwpBQ',
-    localDataPath: 'data/sample.json'
-  },
-
-  // キャッシュされたデータ
+  // キャッシュされたデータ（最後にデータソースから読み込んだもの）
   cachedData: null,
 
-  /**
-   * ローカルJSONファイルからデータを取得
-   */
-  async loadLocalData() {
-    try {
-      // キャッシュバスティング用のタイムスタンプを追加
-      const cacheBuster = `?v=${Date.now()}`;
-      const response = await fetch(this.config.localDataPath + cacheBuster);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
-      this.cachedData = data;
-      return data;
-    } catch (error) {
-      console.error('ローカルデータの読み込みに失敗しました:', error);
-      throw error;
-    }
-  },
-
-  /**
-   * Google Sheetsから公開URLでデータを取得（APIキー不要）
-   */
-  async loadFromGoogleSheets(sheetId) {
-    if (sheetId) {
-      this.config.sheetId = sheetId;
-    }
-
-    try {
-      // Inputシートからデータ取得
-      const dailyLog = await this.fetchSheetPublic('Input');
-      // settingsシートからデータ取得（存在しなければデフォルト使用）
-      let settings;
-      try {
-        const settingsData = await this.fetchSheetPublic('settings');
-        settings = this.parseSettingsSheet(settingsData);
-      } catch (e) {
-        console.log('settingsシートが見つかりません。デフォルト設定を使用します。');
-        settings = this.getDefaultSettings();
-      }
-
-      // ローカルJSONから食事データ、目標履歴、設定を取得
-      let meals = {};
-      let goalHistory = this.getGoalHistory();
-      let localSettings = null;
-      try {
-        // キャッシュバスティング用のタイムスタンプを追加
-        const cacheBuster = `?v=${Date.now()}`;
-        const localResponse = await fetch(this.config.localDataPath + cacheBuster);
-        if (localResponse.ok) {
-          const localData = await localResponse.json();
-          meals = localData.meals || {};
-          goalHistory = localData.goal_history || goalHistory;
-          // ローカルJSONのsettingsを優先（目標カロリーなどの最新設定）
-          if (localData.settings) {
-            localSettings = localData.settings;
-            console.log('ローカルJSONのsettingsを読み込みました:', localSettings.goals);
-          }
-        }
-      } catch (e) {
-        console.log('ローカル食事データの読み込みに失敗しました:', e);
-      }
-
-      // デバッグ: 最終的に使用するsettingsを表示
-      const finalSettings = localSettings || settings;
-      console.log('最終settings:', finalSettings.goals);
-
-      const data = {
-        // ローカルJSONのsettingsがあればそちらを優先
-        settings: finalSettings,
-        daily_log: this.parseInputSheet(dailyLog),
-        weekly_measurements: [],
-        meals: meals,
-        goal_history: goalHistory
-      };
-
-      this.cachedData = data;
-      return data;
-    } catch (error) {
-      console.error('Google Sheetsからのデータ取得に失敗しました:', error);
-      throw error;
-    }
-  },
-
-  /**
-   * 公開スプレッドシートからCSV形式でデータを取得
-   */
-  async fetchSheetPublic(sheetName) {
-    // gidを取得するためのマッピング（シート名→gid）
-    const sheetGids = {
-      'Input': '1807577852',
-      'settings': '1234567890'  // settingsシートのgidは後で確認
-    };
-
-    const gid = sheetGids[sheetName] || '0';
-    const url = `https://docs.google.com/spreadsheets/d/${this.config.sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(sheetName)}`;
-
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`シート "${sheetName}" の取得に失敗しました`);
-    }
-
-    const text = await response.text();
-    // Google VizのレスポンスからJSON部分を抽出
-    const jsonMatch = text.match(/google\.visualization\.Query\.setResponse\(([\s\S]*)\);?$/);
-    if (!jsonMatch) {
-      throw new Error('データの解析に失敗しました');
-    }
-
-    const jsonData = JSON.parse(jsonMatch[1]);
-    return this.parseGoogleVizResponse(jsonData);
-  },
+  // 体脂肪1kgあたりのエネルギー量（kcal）
+  KCAL_PER_KG: 7200,
 
   /**
    * Google Visualization APIのレスポンスをパース
@@ -168,73 +52,481 @@ const DataManager = {
   },
 
   /**
-   * Inputシートをパース（日付, 体重, 腹囲, 歩数, カロリー, メモ）
+   * Inputシートの列名エイリアス（正規化後の見出し → 項目）
+   */
+  inputColumnAliases: {
+    date: ['日付', '日にち', 'date'],
+    weight: ['体重', 'weight'],
+    waist: ['腹囲', 'ウエスト', 'waist'],
+    steps: ['歩数', 'steps'],
+    calories_intake: ['カロリー', '摂取カロリー', '摂取', 'calories', 'calorie', 'kcal', 'calories_intake'],
+    protein: ['p', 'タンパク質', 'たんぱく質', 'protein'],
+    fat: ['f', '脂質', 'fat'],
+    carbs: ['c', '炭水化物', '糖質', 'carbs', 'carbohydrate'],
+    body_fat: ['体脂肪率', '体脂肪', 'bodyfat', 'body_fat'],
+    notes: ['メモ', '備考', 'notes', 'note', 'memo']
+  },
+
+  /**
+   * 見出しが見つからない場合の旧列構造
+   * A=日付, B=体重, C=腹囲, D=空, E=歩数, F=カロリー, G=メモ
+   */
+  legacyInputColumns: {
+    date: 0,
+    weight: 1,
+    waist: 2,
+    steps: 4,
+    calories_intake: 5,
+    notes: 6
+  },
+
+  // 直近にパースしたInputシートの見出しと列の割り当て（列設定パネル用）
+  lastInputColumns: null,
+
+  /**
+   * 見出しを比較用に正規化（空白・単位の括弧を除去、小文字化）
+   */
+  normalizeHeader(label) {
+    return String(label || '')
+      .replace(/[（(][^）)]*[）)]/g, '')
+      .replace(/[\s　]/g, '')
+      .toLowerCase();
+  },
+
+  /**
+   * Inputシートの見出し行から列の割り当てを決定
+   * 優先順: ユーザー設定 → エイリアス → 旧列構造
+   * @param {Array} headers - 見出し行
+   * @param {Object} userMapping - 見出し → 項目（省略時は保存済みのInputシートの列設定）
+   * @returns {Object} { columns: {項目: 列番号}, custom: [{index, label}], headers }
+   */
+  resolveInputColumns(headers, userMapping = this.loadColumnMapping()) {
+    const columns = {};
+    const custom = [];
+
+    headers.forEach((label, index) => {
+      const key = this.normalizeHeader(label);
+      if (!key) return;
+
+      let field = userMapping[label] || userMapping[key] || null;
+      if (!field) {
+        field = Object.keys(this.inputColumnAliases)
+          .find(f => this.inputColumnAliases[f].includes(key)) || null;
+      }
+
+      if (field === 'ignore') return;
+      if (field === 'custom' || !field) {
+        custom.push({ index, label: String(label).trim() });
+      } else if (columns[field] === undefined) {
+        columns[field] = index;
+      }
+    });
+
+    // 見出しから日付・指標が特定できない場合は旧列構造で読む
+    const metricFields = ['weight', 'waist', 'steps', 'calories_intake'];
+    const hasMetric = metricFields.some(f => columns[f] !== undefined);
+    if (columns.date === undefined || !hasMetric) {
+      return { columns: { ...this.legacyInputColumns }, custom: [], headers, legacy: true };
+    }
+
+    return { columns, custom, headers, legacy: false };
+  },
+
+  /**
+   * 日付の値を YYYY-MM-DD 形式に正規化
+   * "2026/1/8"、"2026年1月8日"、"1/8"、Google Vizの Date(year,month,day)、Dateオブジェクトに対応
+   */
+  normalizeDate(value) {
+    let dateStr = value;
+
+    // Google Vizの Date(year,month,day) 形式をパース
+    if (typeof dateStr === 'string' && dateStr.startsWith('Date(')) {
+      const match = dateStr.match(/Date\((\d+),(\d+),(\d+)\)/);
+      if (match) {
+        const year = match[1];
+        const month = String(Number(match[2]) + 1).padStart(2, '0');
+        const day = String(match[3]).padStart(2, '0');
+        dateStr = `${year}-${month}-${day}`;
+      }
+    } else if (typeof dateStr === 'string' && dateStr.match(/^\d{4}\/\d{1,2}\/\d{1,2}$/)) {
+      // "2026/1/8" 形式
+      const parts = dateStr.split('/');
+      const year = parts[0];
+      const month = parts[1].padStart(2, '0');
+      const day = parts[2].padStart(2, '0');
+      dateStr = `${year}-${month}-${day}`;
+    } else if (typeof dateStr === 'string' && dateStr.match(/^\d{4}[年/.-]\d{1,2}[月/.-]\d{1,2}日?(\s|T|$)/)) {
+      // "2026年1月8日"、"2026.1.8"、時刻付きの "2026/01/08 7:30"（アプリのCSV書き出しなど）
+      const parts = dateStr.match(/^(\d{4})[年/.-](\d{1,2})[月/.-](\d{1,2})/);
+      dateStr = `${parts[1]}-${parts[2].padStart(2, '0')}-${parts[3].padStart(2, '0')}`;
+    } else if (typeof dateStr === 'string' && dateStr.match(/^\d{1,2}\/\d{1,2}$/)) {
+      // "1/8" 形式
+      const parts = dateStr.split('/');
+      const month = parts[0].padStart(2, '0');
+      const day = parts[1].padStart(2, '0');
+      dateStr = `2026-${month}-${day}`;
+    } else if (dateStr instanceof Date) {
+      dateStr = dateStr.toISOString().split('T')[0];
+    }
+
+    return dateStr;
+  },
+
+  /**
+   * 空文字列やundefinedを正しくnullに変換して数値化
+   */
+  parseNum(val) {
+    if (val === null || val === undefined || val === '') return null;
+    const num = Number(val);
+    return isNaN(num) ? null : num;
+  },
+
+  /**
+   * Inputシートをパース（見出し行から列を特定）
+   * 既知の項目以外の列は custom_metrics に数値として保持する
    */
   parseInputSheet(rows) {
     if (rows.length < 2) return [];
 
+    const resolved = this.resolveInputColumns(rows[0]);
+    this.lastInputColumns = resolved;
+    return this.parseInputRows(rows, resolved);
+  },
+
+  /**
+   * 見出し行つきの行を列の割り当てに従って daily_log に変換（InputシートとCSVの読み込みで共通）
+   * @param {Array} rows - 見出し行を含む行の配列
+   * @param {Object} resolved - resolveInputColumns の結果
+   */
+  parseInputRows(rows, resolved) {
+    const { columns, custom } = resolved;
+    const cell = (row, field) => columns[field] === undefined ? undefined : row[columns[field]];
+
     const data = [];
     // ヘッダー行をスキップ（rows[0]）
     for (let i = 1; i < rows.length; i++) {
       const row = rows[i];
-      if (!row[0]) continue;  // 日付がない行はスキップ
-
-      // 日付を2026年形式に変換
-      let dateStr = row[0];
-
-      // Google Vizの Date(year,month,day) 形式をパース
-      if (typeof dateStr === 'string' && dateStr.startsWith('Date(')) {
-        const match = dateStr.match(/Date\((\d+),(\d+),(\d+)\)/);
-        if (match) {
-          const year = match[1];
-          const month = String(Number(match[2]) + 1).padStart(2, '0');
-          const day = String(match[3]).padStart(2, '0');
-          dateStr = `${year}-${month}-${day}`;
-        }
-      } else if (typeof dateStr === 'string' && dateStr.match(/^\d{4}\/\d{1,2}\/\d{1,2}$/)) {
-        // "2026/1/8" 形式
-        const parts = dateStr.split('/');
-        const year = parts[0];
-        const month = parts[1].padStart(2, '0');
-        const day = parts[2].padStart(2, '0');
-        dateStr = `${year}-${month}-${day}`;
-      } else if (typeof dateStr === 'string' && dateStr.match(/^\d{1,2}\/\d{1,2}$/)) {
-        // "1/8" 形式
-        const parts = dateStr.split('/');
-        const month = parts[0].padStart(2, '0');
-        const day = parts[1].padStart(2, '0');
-        dateStr = `2026-${month}-${day}`;
-      } else if (dateStr instanceof Date) {
-        dateStr = dateStr.toISOString().split('T')[0];
-      }
-
-      // 空文字列やundefinedを正しくnullに変換
-      const parseNum = (val) => {
-        if (val === null || val === undefined || val === '') return null;
-        const num = Number(val);
-        return isNaN(num) ? null : num;
-      };
+      const rawDate = cell(row, 'date');
+      if (!rawDate) continue;  // 日付がない行はスキップ
 
-      // スプレッドシートの列構造:
-      // A=日付, B=体重, C=腹囲, D=空, E=歩数, F=カロリー, G=メモ
       const entry = {
-        date: dateStr,
-        weight: parseNum(row[1]),
-        waist: parseNum(row[2]),
-        steps: parseNum(row[4]),           // 歩数は列4（E列）
-        calories_intake: parseNum(row[5]), // カロリーは列5（F列）
-        protein: null,  // PFCはローカルJSONから取得
-        fat: null,
-        carbs: null,
-        notes: row[6] || ''  // メモは列6（G列）
+        date: this.normalizeDate(rawDate),
+        weight: this.parseNum(cell(row, 'weight')),
+        waist: this.parseNum(cell(row, 'waist')),
+        steps: this.parseNum(cell(row, 'steps')),
+        calories_intake: this.parseNum(cell(row, 'calories_intake')),
+        protein: this.parseNum(cell(row, 'protein')),  // 列がなければローカルJSONから取得
+        fat: this.parseNum(cell(row, 'fat')),
+        carbs: this.parseNum(cell(row, 'carbs')),
+        body_fat: this.parseNum(cell(row, 'body_fat')),
+        notes: cell(row, 'notes') || ''
       };
 
+      if (custom.length > 0) {
+        entry.custom_metrics = {};
+        custom.forEach(col => {
+          entry.custom_metrics[col.label] = this.parseNum(row[col.index]);
+        });
+      }
+
       data.push(entry);
     }
 
     return data;
   },
 
+  /**
+   * Mealsシートの列名エイリアス（正規化後の見出し → 項目）
+   */
+  mealsColumnAliases: {
+    date: ['日付', '日にち', 'date'],
+    meal_type: ['区分', '食事', '食事区分', 'タイミング', 'type', 'mealtype', 'meal'],
+    name: ['品名', '食品', '食品名', 'メニュー', '内容', 'name', 'item', 'itemname'],
+    calories: ['kcal', 'カロリー', 'calories', 'calorie'],
+    protein: ['p', 'タンパク質', 'たんぱく質', 'protein'],
+    fat: ['f', '脂質', 'fat'],
+    carbs: ['c', '炭水化物', '糖質', 'carbs', 'carbohydrate']
+  },
+
+  /**
+   * 食事区分の表記ゆれ → meals のキー
+   */
+  mealTypeAliases: {
+    breakfast: ['朝食', '朝', 'breakfast'],
+    lunch: ['昼食', '昼', 'lunch'],
+    snack: ['間食', 'おやつ', '補食', 'snack'],
+    dinner: ['夕食', '夜', '夕', 'dinner'],
+    exercise: ['筋トレ', '運動', 'トレーニング', 'exercise', 'workout']
+  },
+
+  /**
+   * 見出し行とエイリアスから {項目: 列番号} を作成
+   */
+  matchColumns(headers, aliases) {
+    const columns = {};
+    headers.forEach((label, index) => {
+      const key = this.normalizeHeader(label);
+      if (!key) return;
+      const field = Object.keys(aliases).find(f => aliases[f].includes(key));
+      if (field && columns[field] === undefined) {
+        columns[field] = index;
+      }
+    });
+    return columns;
+  },
+
+  /**
+   * 食事メモ（「朝食: ご飯, 卵 (450kcal) / 昼食: ...」）を区分ごとに分解
+   * 区分末尾の「(450kcal)」はその区分の合計として扱う
+   * @param {string} noteText - daily_log の notes
+   * @returns {Object} { structured, blocks: { breakfast: { items, calories, raw }, ... } }（区分は朝昼間夕筋トレの順）
+   */
+  parseMealNotes(noteText) {
+    const labels = { '朝食': 'breakfast', '昼食': 'lunch', '間食': 'snack', '夕食': 'dinner', '筋トレ': 'exercise' };
+    const found = {};
+
+    // 「/」で分割して各食事を取得
+    const parts = String(noteText || '').split('/').map(p => p.trim()).filter(p => p);
+
+    parts.forEach(part => {
+      for (const label of Object.keys(labels)) {
+        const match = part.match(new RegExp(`^${label}[:：]?\\s*(.+)`, 'i'));
+        if (!match) continue;
+
+        const type = labels[label];
+        const content = match[1].trim();
+        if (!found[type]) {
+          found[type] = { items: [], calories: 0, raw: [] };
+        }
+
+        // カロリーを抽出（最後の括弧内の数値kcal）
+        const calorieMatch = content.match(/\((\d+)kcal[^)]*\)\s*$/);
+        if (calorieMatch) {
+          found[type].calories = parseInt(calorieMatch[1], 10);
+        }
+
+        // カンマで分割して個別のアイテムに（カロリー表記は除去）
+        const items = content.split(',')
+          .map(item => item.trim().replace(/\(\d+kcal[^)]*\)\s*$/, '').trim())
+          .filter(item => item);
+        found[type].items.push(...items);
+        found[type].raw.push(part);
+        break;
+      }
+    });
+
+    const blocks = {};
+    Object.values(labels).forEach(type => {
+      if (found[type] && found[type].items.length > 0) {
+        blocks[type] = found[type];
+      }
+    });
+    return { structured: Object.keys(blocks).length > 0, blocks };
+  },
+
+  /**
+   * 食事区分の表記を meals のキーに変換
+   */
+  normalizeMealType(value) {
+    const key = this.normalizeHeader(value);
+    return Object.keys(this.mealTypeAliases)
+      .find(type => this.mealTypeAliases[type].includes(key)) || null;
+  },
+
+  /**
+   * Mealsシートをパース（日付, 区分, 品名, kcal, P, F, C）
+   * 日付・区分・品名の見出しが判定できなければ読み込まない
+   * @returns {Object} meals[date][breakfast|lunch|snack|dinner|exercise] 形式
+   */
+  parseMealsSheet(rows) {
+    if (rows.length < 2) return {};
+
+    const columns = this.matchColumns(rows[0], this.mealsColumnAliases);
+    const required = { date: '日付', meal_type: '区分', name: '品名' };
+    const missing = Object.keys(required).filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      console.log(`Mealsシートの見出し（${missing.map(field => required[field]).join('・')}）を判定できないため、食事データを読み込みません`);
+      return {};
+    }
+
+    const meals = {};
+    let unknownTypes = 0;
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      const rawDate = row[columns.date];
+      const name = row[columns.name];
+      if (!rawDate || !name) continue;
+
+      const type = this.normalizeMealType(row[columns.meal_type]);
+      if (!type) {
+        unknownTypes++;
+        continue;
+      }
+
+      const date = this.normalizeDate(rawDate);
+      let calories = this.parseNum(row[columns.calories]) || 0;
+      // 筋トレは消費カロリーとして負の値で保持（sample.jsonと同じ形式）
+      if (type === 'exercise') {
+        calories = -Math.abs(calories);
+      }
+
+      if (!meals[date]) meals[date] = {};
+      if (!meals[date][type]) meals[date][type] = [];
+      meals[date][type].push({
+        name: String(name).trim(),
+        calories,
+        protein: this.parseNum(row[columns.protein]) || 0,
+        fat: this.parseNum(row[columns.fat]) || 0,
+        carbs: this.parseNum(row[columns.carbs]) || 0
+      });
+    }
+
+    if (unknownTypes > 0) {
+      console.log(`Mealsシート: 食事区分を判定できない${unknownTypes}行を除外しました`);
+    }
+    return meals;
+  },
+
+  /**
+   * Mealsシートとローカル食事データを日付単位でマージ
+   * ルール: Mealsシートに1件でも記録がある日はシートの内容を採用し、
+   * それ以外の日はローカルJSONの内容を使う（区分単位では混ぜない）
+   * @returns {Object} { meals, sources: {date: 'sheets'|'local'} }
+   */
+  mergeMeals(sheetMeals, localMeals) {
+    const meals = {};
+    const sources = {};
+
+    Object.keys(localMeals || {}).forEach(date => {
+      meals[date] = localMeals[date];
+      sources[date] = 'local';
+    });
+    Object.keys(sheetMeals || {}).forEach(date => {
+      meals[date] = sheetMeals[date];
+      sources[date] = 'sheets';
+    });
+
+    return { meals, sources };
+  },
+
+  /**
+   * 記録の出典の表示名（データソースの表示名は DataSources.register で追加）
+   */
+  sourceLabels: {
+    browser: '手入力',
+    merged: 'シート+手入力',
+    plan: '予定',
+    weekly: '採寸'
+  },
+
+  /**
+   * ブラウザで手入力した記録を daily_log にマージ
+   * 同じ日付がある場合は手入力の値（nullでない項目）で上書きする
+   * @param {Array} dailyLog - シート/JSONから読み込んだ記録
+   * @param {Array} entries - IndexedDB に保存した記録
+   * @param {string} baseSource - 読み込み元のデータソースID（DataSources のアダプタ）
+   * @returns {Array} 各行に source（出典）を付けた daily_log
+   */
+  mergeDailyEntries(dailyLog, entries, baseSource) {
+    const fields = ['weight', 'waist', 'body_fat', 'steps', 'calories_intake', 'protein', 'fat', 'carbs', 'notes'];
+    const byDate = {};
+
+    (dailyLog || []).forEach(log => {
+      byDate[log.date] = { ...log, source: baseSource };
+    });
+
+    (entries || []).forEach(entry => {
+      const base = byDate[entry.date];
+      if (!base) {
+        const row = { date: entry.date, source: 'browser' };
+        fields.forEach(field => {
+          row[field] = entry[field] !== undefined ? entry[field] : (field === 'notes' ? '' : null);
+        });
+        byDate[entry.date] = row;
+        return;
+      }
+
+      fields.forEach(field => {
+        if (entry[field] !== null && entry[field] !== undefined && entry[field] !== '') {
+          base[field] = entry[field];
+        }
+      });
+      base.source = 'merged';
+    });
+
+    return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  /**
+   * 食事モーダルで編集した日の内容を meals と daily_log に反映
+   * 編集した日は食事データを丸ごと置き換え（区分単位の編集は types の区分だけ）、
+   * その日の摂取カロリー・PFCを食事の合計で上書きする
+   * @param {Object} meals - 日付ごとの食事データ
+   * @param {Object} mealSources - 日付ごとの食事データの出典
+   * @param {Array} dailyLog - mergeDailyEntries の結果
+   * @param {Array} edits - IndexedDB に保存した編集（{ date, meals, types }、types は区分単位の編集のみ）
+   * @returns {Object} { meals, meal_sources, daily_log }
+   */
+  applyMealEdits(meals, mealSources, dailyLog, edits) {
+    const mergedMeals = { ...(meals || {}) };
+    const sources = { ...(mealSources || {}) };
+    const log = [...(dailyLog || [])];
+
+    (edits || []).forEach(edit => {
+      const dayMeals = edit.types ? { ...(mergedMeals[edit.date] || {}) } : edit.meals;
+      (edit.types || []).forEach(type => {
+        dayMeals[type] = edit.meals[type] || [];
+      });
+      mergedMeals[edit.date] = dayMeals;
+      sources[edit.date] = 'browser';
+
+      // 全品目を消した日は daily_log の値を残す
+      const totals = this.calculateDayMealTotals(dayMeals);
+      if (!totals.hasData) return;
+
+      const values = {
+        calories_intake: Math.round(totals.calories),
+        protein: Math.round(totals.protein * 10) / 10,
+        fat: Math.round(totals.fat * 10) / 10,
+        carbs: Math.round(totals.carbs * 10) / 10
+      };
+      const row = log.find(item => item.date === edit.date);
+      if (row) {
+        Object.assign(row, values);
+        if (row.source !== 'browser') row.source = 'merged';
+      } else {
+        log.push({ date: edit.date, weight: null, waist: null, steps: null, notes: '', ...values, source: 'browser' });
+      }
+    });
+
+    return {
+      meals: mergedMeals,
+      meal_sources: sources,
+      daily_log: log.sort((a, b) => a.date.localeCompare(b.date))
+    };
+  },
+
+  /**
+   * 1日分の食事データを sample.json の meals 形式の JSON 文字列にする
+   * 品目のない区分は省略する
+   * @returns {string} { "YYYY-MM-DD": { breakfast: [...], ... } }
+   */
+  exportDayMeals(date, dayMeals) {
+    const day = {};
+    ['breakfast', 'lunch', 'snack', 'dinner', 'exercise'].forEach(type => {
+      const items = (dayMeals && dayMeals[type]) || [];
+      if (items.length === 0) return;
+      day[type] = items.map(item => ({
+        name: item.name,
+        calories: item.calories || 0,
+        protein: item.protein || 0,
+        fat: item.fat || 0,
+        carbs: item.carbs || 0
+      }));
+    });
+    return JSON.stringify({ [date]: day }, null, 2);
+  },
+
   /**
    * 設定シートをパース
    */
@@ -267,9 +559,11 @@ const DataManager = {
       height: 184,
       age: 30,      // 年齢（BMR計算用）
       gender: 'male', // 性別（BMR計算用）
+      balance_drift_kg: 1.5, // 累積収支からの予想と実際の体重変化の差の許容幅（kg）
+      energy_model: 'harris_benedict', // 基礎代謝の計算式（energyModels のキー）
+      activity_factor: 1.2, // 日常活動の係数（BMR × 係数 − BMR が歩数以外の日常活動）
       goals: {
-        calories: 2700,  // 1/20以降の目標
-        calories_before_0120: 2600,  // 1/20以前の目標
+        calories: 2700,  // 日付ごとの目標は goal_history から解決
         protein: 195,
         fat: 58,
         carbs: 325,
@@ -306,41 +600,339 @@ const DataManager = {
     ];
   },
 
+  /**
+   * 指定日に有効だった目標（カロリー・PFC）を goal_history から取得
+   * その日以前で最も新しい履歴を採用し、最初の履歴より前の日は最初の履歴を使う
+   * 履歴にない項目は settings.goals で補完
+   * @param {string} dateStr - YYYY-MM-DD
+   * @param {Array} goalHistory - 目標変更履歴
+   * @param {Object} settings - 設定
+   */
+  getGoalsForDate(dateStr, goalHistory, settings) {
+    const base = (settings && settings.goals) || {};
+    const history = [...(goalHistory || [])]
+      .filter(item => item.date)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (history.length === 0) {
+      return { ...base };
+    }
+
+    let active = history[0];
+    history.forEach(item => {
+      if (item.date <= dateStr) {
+        active = item;
+      }
+    });
+
+    const goals = { pfc_ratio: base.pfc_ratio, since: active.date };
+    ['calories', 'protein', 'fat', 'carbs'].forEach(key => {
+      goals[key] = active[key] !== undefined && active[key] !== null ? active[key] : base[key];
+      // 補足（上限・下限など）はその履歴に書かれている場合のみ引き継ぐ
+      if (active[`${key}_note`]) {
+        goals[`${key}_note`] = active[`${key}_note`];
+      }
+    });
+
+    return goals;
+  },
+
   /**
    * 日付に応じたカロリー目標を取得
    */
-  getCalorieTargetForDate(dateStr, settings) {
-    const date = new Date(dateStr);
-    const changeDate = new Date('2026-01-20');
-    const goals = settings.goals || {};
+  getCalorieTargetForDate(dateStr, settings, goalHistory) {
+    const history = goalHistory || (this.cachedData && this.cachedData.goal_history) || this.getGoalHistory();
+    const goals = this.getGoalsForDate(dateStr, history, settings);
+    return goals.calories || 2700;
+  },
 
-    if (date >= changeDate) {
-      return goals.calories || 2700;
-    } else {
-      return goals.calories_before_0120 || 2600;
-    }
+  /**
+   * 基礎代謝の計算式（キー → 表示名）
+   * Katch-McArdle は体脂肪率が必要で、記録がない日は Harris-Benedict で計算する
+   * 体脂肪率は daily_log の body_fat（Inputシートの体脂肪率の列・今日の記録フォーム・CSV）を使う
+   */
+  energyModels: {
+    harris_benedict: { label: 'Harris-Benedict', needsBodyFat: false },
+    mifflin_st_jeor: { label: 'Mifflin-St Jeor', needsBodyFat: false },
+    katch_mcardle: { label: 'Katch-McArdle（体脂肪率）', needsBodyFat: true }
   },
 
   /**
-   * 推定消費カロリーを計算
-   * Harris-Benedict式で基礎代謝を計算し、歩数から活動代謝を加算
+   * 使用する計算式と活動係数（ブラウザで選んだもの → 設定シート → 既定値の順）
+   * @returns {Object} { model, activityFactor }
    */
-  calculateEstimatedBurn(weight, steps, settings) {
-    if (!weight) return null;
+  getEnergyModel(settings) {
+    const saved = this.loadEnergyModel();
+    const defaults = this.getDefaultSettings();
+    const model = saved.model || (settings && settings.energy_model) || defaults.energy_model;
+    return {
+      model: this.energyModels[model] ? model : defaults.energy_model,
+      activityFactor: saved.activityFactor || (settings && settings.activity_factor) || defaults.activity_factor
+    };
+  },
 
-    // 基礎代謝（BMR）: Harris-Benedict式（男性）
-    // BMR = 88.362 + (13.397 × 体重kg) + (4.799 × 身長cm) - (5.677 × 年齢)
+  /**
+   * 基礎代謝（BMR）を計算
+   * 性別は settings.gender（'female' 以外は男性の式）
+   * @param {string} model - energyModels のキー
+   * @param {number|null} bodyFat - 体脂肪率（%、Katch-McArdle で使用）
+   * @returns {number|null} 計算できない場合は null
+   */
+  calculateBMR(weight, settings, model, bodyFat = null) {
+    if (!weight) return null;
     const height = settings.height || 184;
     const age = settings.age || 30;
-    const bmr = 88.362 + (13.397 * weight) + (4.799 * height) - (5.677 * age);
+    const female = settings.gender === 'female';
+
+    switch (model) {
+      case 'mifflin_st_jeor':
+        // BMR = 10 × 体重kg + 6.25 × 身長cm − 5 × 年齢 + 5（女性は −161）
+        return 10 * weight + 6.25 * height - 5 * age + (female ? -161 : 5);
+      case 'katch_mcardle':
+        // BMR = 370 + 21.6 × 除脂肪体重kg
+        if (!bodyFat) return null;
+        return 370 + 21.6 * weight * (1 - bodyFat / 100);
+      default:
+        // Harris-Benedict式（改訂版）
+        // 男性 BMR = 88.362 + (13.397 × 体重kg) + (4.799 × 身長cm) - (5.677 × 年齢)
+        // 女性 BMR = 447.593 + (9.247 × 体重kg) + (3.098 × 身長cm) - (4.330 × 年齢)
+        return female
+          ? 447.593 + (9.247 * weight) + (3.098 * height) - (4.330 * age)
+          : 88.362 + (13.397 * weight) + (4.799 * height) - (5.677 * age);
+    }
+  },
+
+  /**
+   * 推定消費カロリーの内訳を計算
+   * 基礎代謝（BMR）、日常の活動（NEAT: BMR × (活動係数 − 1) + 歩数）、トレーニングに分ける
+   * @param {number|null} bodyFat - 体脂肪率（%、Katch-McArdle で使用）
+   * @param {Object} energyModel - getEnergyModel の結果（日ごとに計算するときは呼び出し側で1回だけ取得して渡す）
+   * @returns {Object|null} { model, bmr, neat, steps, training, total }（体重がなければ null）
+   */
+  calculateBurnBreakdown(weight, steps, settings, trainingCalories = 0, bodyFat = null, energyModel = this.getEnergyModel(settings)) {
+    if (!weight) return null;
+
+    let usedModel = energyModel.model;
+    let bmr = this.calculateBMR(weight, settings, usedModel, bodyFat);
+    if (bmr === null) {
+      usedModel = 'harris_benedict';
+      bmr = this.calculateBMR(weight, settings, usedModel);
+    }
 
     // 歩数による消費カロリー（おおよそ1歩 = 0.04-0.05 kcal）
     const stepsCalories = steps ? steps * 0.045 : 0;
 
-    // 基礎活動（座り仕事）として BMR × 1.2 + 歩数消費
-    const totalBurn = Math.round(bmr * 1.2 + stepsCalories);
+    // 基礎活動（座り仕事なら係数1.2）として BMR × 係数 + 歩数消費 + トレーニング
+    const breakdown = {
+      model: usedModel,
+      bmr: Math.round(bmr),
+      neat: Math.round(bmr * (energyModel.activityFactor - 1) + stepsCalories),
+      steps: Math.round(stepsCalories),
+      training: Math.round(trainingCalories || 0)
+    };
+    breakdown.total = breakdown.bmr + breakdown.neat + breakdown.training;
+    return breakdown;
+  },
+
+  /**
+   * すべての計算式で消費カロリーを計算（モーダルでの比較用）
+   * @returns {Array} [{ model, label, breakdown, available }]
+   */
+  compareEnergyModels(weight, steps, settings, trainingCalories = 0, bodyFat = null, energyModel = this.getEnergyModel(settings)) {
+    return Object.keys(this.energyModels).map(model => {
+      const available = !this.energyModels[model].needsBodyFat || !!bodyFat;
+      return {
+        model,
+        label: this.energyModels[model].label,
+        available,
+        breakdown: available
+          ? this.calculateBurnBreakdown(weight, steps, settings, trainingCalories, bodyFat, { ...energyModel, model })
+          : null
+      };
+    });
+  },
+
+  /**
+   * 推定消費カロリーを計算（内訳の合計）
+   */
+  calculateEstimatedBurn(weight, steps, settings, trainingCalories = 0, bodyFat = null, energyModel = this.getEnergyModel(settings)) {
+    const breakdown = this.calculateBurnBreakdown(weight, steps, settings, trainingCalories, bodyFat, energyModel);
+    return breakdown ? breakdown.total : null;
+  },
+
+  /**
+   * 消費カロリーの内訳を1行の文字列にする（ツールチップ・モーダル用）
+   */
+  formatBurnBreakdown(breakdown) {
+    if (!breakdown) return '';
+    const stepsText = breakdown.steps ? `（うち歩数 ${breakdown.steps.toLocaleString()}）` : '';
+    return `${this.energyModels[breakdown.model].label}: 基礎代謝 ${breakdown.bmr.toLocaleString()} + 日常活動 ${breakdown.neat.toLocaleString()}${stepsText}`
+      + ` + トレーニング ${breakdown.training.toLocaleString()} = ${breakdown.total.toLocaleString()}kcal`;
+  },
+
+  /**
+   * 日付時点の体重（その日以前で最新の記録、なければ最初の記録）
+   * 体重を測っていない日の消費カロリーの推定に使う
+   */
+  getLatestWeight(dailyLog, date) {
+    return this.getLatestValue(dailyLog, date, 'weight', true);
+  },
+
+  /**
+   * 日付時点の記録値（その日以前で最新の記録）
+   * @param {boolean} fallbackToFirst - その日以前に記録がなければ最初の記録を使う
+   */
+  getLatestValue(dailyLog, date, field, fallbackToFirst = false) {
+    const recorded = (dailyLog || [])
+      .filter(d => d[field])
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const before = recorded.filter(d => d.date <= date);
+    if (before.length > 0) return before[before.length - 1][field];
+    return fallbackToFirst && recorded.length > 0 ? recorded[0][field] : null;
+  },
+
+  /**
+   * 日付ごとのその日時点の記録値（日付順に1回たどって直前の値を引き継ぐ）
+   * 表の行ごとに getLatestValue を呼ぶ代わりに使う
+   * @param {Array} fields - 引き継ぐ項目
+   * @param {Array} fallbackFields - その日以前に記録がなければ最初の記録を使う項目
+   * @returns {Object} date → { field: value }
+   */
+  getLatestValuesByDate(dailyLog, fields, fallbackFields = []) {
+    const sorted = [...(dailyLog || [])].sort((a, b) => a.date.localeCompare(b.date));
+    const current = {};
+    fallbackFields.forEach(field => {
+      const first = sorted.find(d => d[field]);
+      current[field] = first ? first[field] : null;
+    });
+
+    const values = {};
+    sorted.forEach(d => {
+      fields.forEach(field => {
+        if (d[field]) current[field] = d[field];
+      });
+      values[d.date] = { ...current };
+    });
+    return values;
+  },
+
+  /**
+   * 日ごとのエネルギー収支（摂取 − 推定消費）と開始日からの累積
+   * 体重を測っていない日は直前の体重で消費カロリーを推定し、摂取の記録がない日は累積に加えない
+   * @param {Array} calendar - buildCalendarDays の結果
+   * @param {Object} settings - 設定
+   * @param {Object} trainingCalories - 日付 → トレーニングの消費カロリー
+   * @returns {Array} [{ date, intake, burn, balance, cumulative }]
+   */
+  calculateEnergyBalance(calendar, settings, trainingCalories = {}) {
+    let weight = null;
+    let bodyFat = null;
+    let cumulative = 0;
+    const firstWeight = calendar.find(d => d.weight);
+    const energyModel = this.getEnergyModel(settings);
+
+    return calendar.map(d => {
+      if (d.weight) weight = d.weight;
+      if (d.body_fat) bodyFat = d.body_fat;
+      const burn = this.calculateBurnBreakdown(
+        weight || (firstWeight && firstWeight.weight), d.steps, settings, trainingCalories[d.date], bodyFat, energyModel
+      );
+      const balance = burn && d.calories_intake ? d.calories_intake - burn.total : null;
+      if (balance !== null) cumulative += balance;
+
+      return {
+        date: d.date,
+        intake: d.calories_intake || null,
+        burn,
+        balance,
+        cumulative: Math.round(cumulative)
+      };
+    });
+  },
+
+  /**
+   * 日付の差（日数）を計算
+   */
+  daysBetween(fromStr, toStr) {
+    return Math.round((new Date(toStr) - new Date(fromStr)) / 86400000);
+  },
+
+  /**
+   * 体重のトレンド（指数平滑）を計算
+   * 日ごとの平滑化係数 alpha を、記録の間隔（日数）に応じて複利で適用する
+   * @param {Array} data - 日付順の daily_log
+   * @returns {Object} { date: トレンド体重 }
+   */
+  calculateWeightTrend(data, alpha = 0.1) {
+    const trend = {};
+    let current = null;
+    let lastDate = null;
+
+    data.forEach(d => {
+      if (d.weight === null || d.weight === undefined || d.weight <= 0) return;
+      if (current === null) {
+        current = d.weight;
+      } else {
+        const gap = Math.max(1, this.daysBetween(lastDate, d.date));
+        const effectiveAlpha = 1 - Math.pow(1 - alpha, gap);
+        current = current + effectiveAlpha * (d.weight - current);
+      }
+      lastDate = d.date;
+      trend[d.date] = Math.round(current * 100) / 100;
+    });
 
-    return totalBurn;
+    return trend;
+  },
+
+  /**
+   * 摂取カロリーと体重トレンドから実際の消費カロリー（TDEE）を逆算
+   * 期間内の平均摂取 − (トレンド体重の変化 × 7200kcal ÷ 日数)
+   * @param {Array} data - 日付順の daily_log
+   * @param {number} windowDays - 逆算に使う期間（日数）
+   * @returns {Object} { date: { tdee, confidence, intakeDays, weightDays } }
+   */
+  calculateAdaptiveTDEE(data, windowDays = 14) {
+    const trend = this.calculateWeightTrend(data);
+    const result = {};
+
+    data.forEach(day => {
+      const inWindow = data.filter(d => {
+        const diff = this.daysBetween(d.date, day.date);
+        return diff >= 0 && diff < windowDays;
+      });
+
+      const intakes = inWindow.filter(d => d.calories_intake !== null && d.calories_intake > 0);
+      const trendDays = inWindow.filter(d => trend[d.date] !== undefined);
+      if (intakes.length < 3 || trendDays.length < 2) return;
+
+      const first = trendDays[0];
+      const last = trendDays[trendDays.length - 1];
+      const span = this.daysBetween(first.date, last.date);
+      if (span < 7) return;
+
+      const avgIntake = intakes.reduce((sum, d) => sum + d.calories_intake, 0) / intakes.length;
+      const dailyChange = (trend[last.date] - trend[first.date]) / span;
+      const tdee = Math.round(avgIntake - dailyChange * this.KCAL_PER_KG);
+
+      // 記録の充足度から信頼度を判定
+      const intakeRatio = intakes.length / windowDays;
+      const weightRatio = trendDays.length / windowDays;
+      let confidence = 'low';
+      if (intakeRatio >= 0.7 && weightRatio >= 0.6) {
+        confidence = 'high';
+      } else if (intakeRatio >= 0.4 && weightRatio >= 0.3) {
+        confidence = 'medium';
+      }
+
+      result[day.date] = {
+        tdee,
+        confidence,
+        intakeDays: intakes.length,
+        weightDays: trendDays.length
+      };
+    });
+
+    return result;
   },
 
   /**
@@ -374,28 +966,50 @@ const DataManager = {
   },
 
   /**
-   * 週次計測シートをパース
+   * 採寸の部位（キー → 表示名）
+   */
+  measurementSites: {
+    waist: '腹囲',
+    chest: '胸囲',
+    hip: 'ヒップ',
+    arm: '上腕',
+    thigh: '太もも',
+    neck: '首'
+  },
+
+  // US Navy式で組み合わせる部位の測定日の間隔の上限（日数、それより前の値は使わない）
+  navyWindowDays: 7,
+
+  /**
+   * Weeklyシート（採寸）の列名エイリアス（正規化後の見出し → 項目）
+   */
+  measurementColumnAliases: {
+    date: ['日付', '日にち', 'date'],
+    waist: ['腹囲', 'ウエスト', 'waist'],
+    chest: ['胸囲', 'バスト', 'chest'],
+    hip: ['ヒップ', '臀囲', 'hip', 'hips'],
+    arm: ['上腕', '腕', '二の腕', 'arm'],
+    thigh: ['太もも', '大腿', '太腿', 'thigh'],
+    neck: ['首', '首回り', 'neck']
+  },
+
+  /**
+   * 週ごとの採寸シートをパース（見出しは measurementColumnAliases で判定）
    */
   parseWeeklySheet(rows) {
     if (rows.length < 2) return [];
 
-    const headers = rows[0];
-    const data = [];
+    const columns = this.matchColumns(rows[0], this.measurementColumnAliases);
+    if (columns.date === undefined) return [];
 
+    const data = [];
     for (let i = 1; i < rows.length; i++) {
       const row = rows[i];
-      if (!row[0]) continue;
+      if (!row[columns.date]) continue;
 
-      const entry = {};
-      headers.forEach((header, index) => {
-        const value = row[index];
-        if (value === undefined || value === '') {
-          entry[header] = header === 'date' ? '' : null;
-        } else if (header === 'date') {
-          entry[header] = value;
-        } else {
-          entry[header] = Number(value) || null;
-        }
+      const entry = { date: this.normalizeDate(row[columns.date]) };
+      Object.keys(this.measurementSites).forEach(site => {
+        entry[site] = columns[site] === undefined ? null : this.parseNum(row[columns[site]]);
       });
       data.push(entry);
     }
@@ -403,16 +1017,160 @@ const DataManager = {
     return data;
   },
 
+  /**
+   * 採寸の記録を日付ごとにまとめる（後の記録の値で上書き、空欄は上書きしない）
+   * @param {...Array} sources - 採寸の配列（優先度の低い順）
+   * @returns {Array} 日付順の [{ date, waist, chest, hip, arm, thigh, neck }]
+   */
+  mergeMeasurements(...sources) {
+    const byDate = {};
+    sources.forEach(source => {
+      (source || []).forEach(entry => {
+        if (!entry.date) return;
+        if (!byDate[entry.date]) {
+          byDate[entry.date] = { date: entry.date };
+          Object.keys(this.measurementSites).forEach(site => {
+            byDate[entry.date][site] = null;
+          });
+        }
+        Object.keys(this.measurementSites).forEach(site => {
+          if (entry[site]) byDate[entry.date][site] = entry[site];
+        });
+      });
+    });
+    return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  /**
+   * 日々の記録の腹囲を mergeMeasurements でまとめた採寸の腹囲にそろえる
+   * （日々の記録に腹囲がない日は週ごとの採寸で補い、手入力の採寸がある日はその値を使う）
+   * 採寸だけの日は値が空の行を追加する
+   */
+  applyMeasurementsToDailyLog(sortedDaily, measurements) {
+    const byDate = {};
+    sortedDaily.forEach(d => {
+      byDate[d.date] = d;
+    });
+
+    const rows = [...sortedDaily];
+    measurements.forEach(m => {
+      if (!m.waist) return;
+      const row = byDate[m.date];
+      if (!row) {
+        rows.push({
+          date: m.date, weight: null, waist: m.waist, body_fat: null, steps: null,
+          calories_intake: null, protein: null, fat: null, carbs: null, notes: '', source: 'weekly'
+        });
+      } else if (row.waist !== m.waist) {
+        byDate[m.date] = { ...row, waist: m.waist };
+        rows[rows.indexOf(row)] = byDate[m.date];
+      }
+    });
+    return rows.sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  /**
+   * US Navy式の推定体脂肪率（cm）
+   * 男性: 495 ÷ (1.0324 − 0.19077 × log10(腹囲 − 首) + 0.15456 × log10(身長)) − 450
+   * 女性: 495 ÷ (1.29579 − 0.35004 × log10(腹囲 + ヒップ − 首) + 0.22100 × log10(身長)) − 450
+   * @returns {number|null} 必要な部位が揃っていなければ null
+   */
+  calculateNavyBodyFat(measurement, settings) {
+    const { waist, neck, hip } = measurement;
+    const height = settings.height || 184;
+    if (!waist || !neck || waist <= neck) return null;
+
+    let density;
+    if (settings.gender === 'female') {
+      if (!hip) return null;
+      density = 1.29579 - 0.35004 * Math.log10(waist + hip - neck) + 0.22100 * Math.log10(height);
+    } else {
+      density = 1.0324 - 0.19077 * Math.log10(waist - neck) + 0.15456 * Math.log10(height);
+    }
+    return Math.round((495 / density - 450) * 10) / 10;
+  },
+
+  /**
+   * 部位ごとの採寸値と最初の測定からの変化、US Navy式の推定体脂肪率（グラフ用）
+   * 首・腹囲は測った日が別でも、navyWindowDays 日以内に測った値なら組み合わせて推定する
+   * @param {Array} calendar - buildCalendarDays の結果
+   * @param {Array} measurements - mergeMeasurements の結果
+   * @returns {Object} { values: {site: []}, changes: {site: []}, navyBodyFat: [], latest: {site: { value, change, date }}, navyLatest }
+   *   navyLatest は { value, date, waist, neck, hip, waistDate, neckDate, hipDate }
+   */
+  calculateMeasurementSeries(calendar, measurements, settings) {
+    const byDate = {};
+    measurements.forEach(m => {
+      byDate[m.date] = m;
+    });
+
+    const sites = Object.keys(this.measurementSites);
+    const values = {};
+    const changes = {};
+    const first = {};
+    const current = {};
+    const latest = {};
+    sites.forEach(site => {
+      values[site] = [];
+      changes[site] = [];
+    });
+    const navyBodyFat = [];
+    let navyLatest = null;
+
+    calendar.forEach(d => {
+      const m = byDate[d.date] || {};
+      sites.forEach(site => {
+        const value = (site === 'waist' ? d.waist || m.waist : m[site]) || null;
+        if (value && first[site] === undefined) first[site] = value;
+        if (value) {
+          current[site] = value;
+          latest[site] = { value, change: Math.round((value - first[site]) * 10) / 10, date: d.date };
+        }
+        values[site].push(value);
+        changes[site].push(value ? Math.round((value - first[site]) * 10) / 10 : null);
+      });
+
+      // その日に首か腹囲を測っていれば、期間内に測った他の部位の値と組み合わせて推定
+      const measuredToday = m.neck || m.waist || m.hip || d.waist;
+      const recent = {};
+      ['waist', 'neck', 'hip'].forEach(site => {
+        if (latest[site] && this.daysBetween(latest[site].date, d.date) < this.navyWindowDays) {
+          recent[site] = current[site];
+        }
+      });
+      const navy = measuredToday ? this.calculateNavyBodyFat(recent, settings) : null;
+      navyBodyFat.push(navy);
+      if (navy !== null) {
+        navyLatest = {
+          value: navy,
+          date: d.date,
+          waist: recent.waist,
+          neck: recent.neck,
+          hip: recent.hip || null,
+          waistDate: latest.waist.date,
+          neckDate: latest.neck.date,
+          hipDate: recent.hip ? latest.hip.date : null
+        };
+      }
+    });
+
+    return { values, changes, navyBodyFat, latest, navyLatest };
+  },
+
   /**
    * 7日間移動平均を計算
+   * 行数ではなく日付で期間を区切る（その日を含む直近 days 日間の記録の平均）
    */
   calculateMovingAverage(data, field, days = 7) {
     const result = [];
 
     for (let i = 0; i < data.length; i++) {
-      const start = Math.max(0, i - days + 1);
+      let start = i;
+      while (start > 0 && this.daysBetween(data[start - 1].date, data[i].date) < days) {
+        start--;
+      }
       const slice = data.slice(start, i + 1);
-      const validValues = slice.filter(d => d[field] !== null && d[field] > 0).map(d => d[field]);
+      const validValues = slice.filter(d => d[field] !== null && d[field] !== undefined && d[field] > 0).map(d => d[field]);
 
       if (validValues.length > 0) {
         const avg = validValues.reduce((a, b) => a + b, 0) / validValues.length;
@@ -426,25 +1184,26 @@ const DataManager = {
   },
 
   /**
-   * 週間の統計を計算（PFCはローカルJSONの食事データから計算、ない日は目標値で補完）
+   * 表示期間の統計を計算（PFCはローカルJSONの食事データから計算、ない日はその日の目標値で補完）
+   * @param {Array} data - 表示期間内の daily_log
    */
-  calculateWeeklyStats(data, settings, meals) {
-    const last7Days = data.slice(-7);
+  calculateWeeklyStats(data, settings, meals, goalHistory) {
     const goals = settings.goals || { calories: 2900, protein: 210, fat: 65, carbs: 365 };
+    const goalsForDay = (day) => goalHistory ? this.getGoalsForDate(day.date, goalHistory, settings) : goals;
 
     // 平均カロリー（データがない日は目標値で補完）
     let totalCalories = 0;
-    last7Days.forEach(day => {
+    data.forEach(day => {
       if (day.calories_intake !== null && day.calories_intake > 0) {
         totalCalories += day.calories_intake;
       } else {
         // データがない日は目標値で補完
-        totalCalories += goals.calories || 2900;
+        totalCalories += goalsForDay(day).calories || 2900;
       }
     });
-    const avgCalories = last7Days.length > 0 ? Math.round(totalCalories / last7Days.length) : 0;
+    const avgCalories = data.length > 0 ? Math.round(totalCalories / data.length) : 0;
 
-    const validWeight = last7Days.filter(d => d.weight !== null && d.weight > 0);
+    const validWeight = data.filter(d => d.weight !== null && d.weight > 0);
     const avgWeight = validWeight.length > 0
       ? validWeight.reduce((sum, d) => sum + d.weight, 0) / validWeight.length
       : 0;
@@ -455,8 +1214,8 @@ const DataManager = {
     let totalFat = 0;
     let totalCarbs = 0;
 
-    // 直近7日間の食事データからPFCを集計（ない日は目標値で補完）
-    last7Days.forEach(day => {
+    // 期間内の食事データからPFCを集計（ない日は目標値で補完）
+    data.forEach(day => {
       const dayMeals = meals ? meals[day.date] : null;
       let dayProtein = 0;
       let dayFat = 0;
@@ -479,9 +1238,10 @@ const DataManager = {
 
       // 食事データがない日は目標値で補完
       if (!dayHasData) {
-        dayProtein = goals.protein || 210;
-        dayFat = goals.fat || 65;
-        dayCarbs = goals.carbs || 365;
+        const dayGoals = goalsForDay(day);
+        dayProtein = dayGoals.protein || 210;
+        dayFat = dayGoals.fat || 65;
+        dayCarbs = dayGoals.carbs || 365;
       }
 
       totalProtein += dayProtein;
@@ -509,6 +1269,158 @@ const DataManager = {
     };
   },
 
+  /**
+   * 1日分の食事データからカロリー・PFCの合計を計算（筋トレは除く）
+   * @returns {Object} { calories, protein, fat, carbs, hasData }
+   */
+  calculateDayMealTotals(dayMeals) {
+    const totals = { calories: 0, protein: 0, fat: 0, carbs: 0, hasData: false };
+    if (!dayMeals) return totals;
+
+    ['breakfast', 'lunch', 'snack', 'dinner'].forEach(type => {
+      (dayMeals[type] || []).forEach(item => {
+        totals.calories += item.calories || 0;
+        totals.protein += item.protein || 0;
+        totals.fat += item.fat || 0;
+        totals.carbs += item.carbs || 0;
+        totals.hasData = true;
+      });
+    });
+
+    return totals;
+  },
+
+  /**
+   * 目標の種類を *_note から判定（「上限」→ max、「下限」→ min、それ以外は target）
+   */
+  getGoalKind(note) {
+    if (!note) return 'target';
+    if (note.includes('上限')) return 'max';
+    if (note.includes('下限')) return 'min';
+    return 'target';
+  },
+
+  /**
+   * 1日分の食事を目標と比べて残りを計算
+   * 上限・下限の区別はその日の目標の *_note、なければ settings.goals の *_note で判定する
+   * @param {Object} dayMeals - その日の食事データ
+   * @param {Object} goals - その日に有効な目標（getGoalsForDate）
+   * @param {Object} baseGoals - settings.goals
+   * @returns {Object} { totals, items: [{ key, goal, consumed, remaining, kind, over }] }
+   */
+  calculateMacroBudget(dayMeals, goals, baseGoals) {
+    const totals = this.calculateDayMealTotals(dayMeals);
+    const items = ['calories', 'protein', 'fat', 'carbs']
+      .filter(key => goals && goals[key])
+      .map(key => {
+        const kind = this.getGoalKind(goals[`${key}_note`] || (baseGoals && baseGoals[`${key}_note`]));
+        const consumed = Math.round(totals[key] * 10) / 10;
+        const remaining = Math.round((goals[key] - totals[key]) * 10) / 10;
+        return {
+          key,
+          goal: goals[key],
+          consumed,
+          remaining,
+          kind,
+          // 下限は超えても問題ない
+          over: kind !== 'min' && remaining < 0
+        };
+      });
+
+    return { totals, items };
+  },
+
+  /**
+   * 日付を含む週の月曜日（YYYY-MM-DD）を取得
+   */
+  getWeekStart(dateStr) {
+    const date = new Date(`${dateStr}T00:00:00`);
+    const offset = (date.getDay() + 6) % 7;  // 月曜=0
+    date.setDate(date.getDate() - offset);
+    return this.toDateString(date);
+  },
+
+  /**
+   * Dateオブジェクトをローカル時刻の YYYY-MM-DD に変換
+   */
+  toDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  },
+
+  /**
+   * 週（月曜始まり）ごとの平均を集計
+   * トレーナーの方針どおり、体重は日単位ではなく週平均で比較する
+   * @param {Array} data - 日付順の daily_log
+   * @param {Object} settings - 設定（start_date 以降を集計）
+   * @param {Object} meals - 食事データ（PFCの集計に使用）
+   * @returns {Array} 古い順の週データ
+   */
+  calculateWeeklySummaries(data, settings, meals) {
+    const startDate = settings.start_date || (data[0] && data[0].date);
+    if (!startDate) return [];
+
+    const average = (values) => values.length > 0
+      ? values.reduce((a, b) => a + b, 0) / values.length
+      : null;
+    const round = (value, digits) => value === null ? null : Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+    const targetDays = data.filter(d => d.date >= startDate);
+    if (targetDays.length === 0) return [];
+
+    // 開始週から最新週まで、記録のない週も含めて週ごとにグループ化
+    const weeks = {};
+    const cursor = new Date(`${this.getWeekStart(startDate)}T00:00:00`);
+    const lastWeek = this.getWeekStart(targetDays[targetDays.length - 1].date);
+    while (this.toDateString(cursor) <= lastWeek) {
+      weeks[this.toDateString(cursor)] = [];
+      cursor.setDate(cursor.getDate() + 7);
+    }
+    targetDays.forEach(day => {
+      weeks[this.getWeekStart(day.date)].push(day);
+    });
+
+    let prevAvgWeight = null;
+    return Object.keys(weeks).sort().map(weekStart => {
+      const days = weeks[weekStart];
+      const end = new Date(`${weekStart}T00:00:00`);
+      end.setDate(end.getDate() + 6);
+
+      const weights = days.filter(d => d.weight !== null && d.weight > 0).map(d => d.weight);
+      const calories = days.filter(d => d.calories_intake !== null && d.calories_intake > 0).map(d => d.calories_intake);
+      const steps = days.filter(d => d.steps !== null && d.steps !== undefined).map(d => d.steps);
+
+      // PFCは食事データを優先し、なければログの値を使う
+      const pfcDays = days.map(day => {
+        const totals = this.calculateDayMealTotals(meals ? meals[day.date] : null);
+        if (totals.hasData) return totals;
+        if (day.protein && day.fat && day.carbs) return day;
+        return null;
+      }).filter(Boolean);
+
+      const avgWeight = round(average(weights), 2);
+      const weightChange = avgWeight !== null && prevAvgWeight !== null
+        ? round(avgWeight - prevAvgWeight, 2)
+        : null;
+      if (avgWeight !== null) prevAvgWeight = avgWeight;
+
+      return {
+        weekStart,
+        weekEnd: this.toDateString(end),
+        avgWeight,
+        weightChange,
+        avgCalories: round(average(calories), 0),
+        avgSteps: round(average(steps), 0),
+        avgProtein: round(average(pfcDays.map(d => d.protein)), 0),
+        avgFat: round(average(pfcDays.map(d => d.fat)), 0),
+        avgCarbs: round(average(pfcDays.map(d => d.carbs)), 0),
+        loggedDays: days.filter(d => d.weight !== null || d.calories_intake !== null || d.steps !== null).length
+      };
+    });
+  },
+
   /**
    * 体重の変化を計算
    */
@@ -551,6 +1463,82 @@ const DataManager = {
     };
   },
 
+  /**
+   * 体脂肪率・体重から体組成（脂肪量・除脂肪量・FFMI）を計算
+   * FFMI = 除脂肪量 ÷ 身長(m)²、身長補正後 = FFMI + 6.1 × (1.8 − 身長(m))
+   * @returns {Object|null} { fatMass, leanMass, ffmi, normalizedFfmi }
+   */
+  calculateBodyComposition(weight, bodyFat, height) {
+    if (!weight || !bodyFat) return null;
+    const fatMass = weight * bodyFat / 100;
+    const leanMass = weight - fatMass;
+    const heightM = (height || 184) / 100;
+    const ffmi = leanMass / (heightM * heightM);
+
+    return {
+      fatMass: Math.round(fatMass * 10) / 10,
+      leanMass: Math.round(leanMass * 10) / 10,
+      ffmi: Math.round(ffmi * 10) / 10,
+      normalizedFfmi: Math.round((ffmi + 6.1 * (1.8 - heightM)) * 10) / 10
+    };
+  },
+
+  /**
+   * 体脂肪率の現在値と目標（target_body_fat）への進み具合
+   * @param {Array} data - 日付順の daily_log
+   * @returns {Object} { current, change, target, toGoal, progress, composition, date }（記録がなければ current は null）
+   */
+  calculateBodyFatChange(data, settings) {
+    const measured = data.filter(d => d.body_fat);
+    const target = settings.target_body_fat || null;
+    if (measured.length === 0) {
+      return { current: null, change: null, target, toGoal: null, progress: null, composition: null, date: null };
+    }
+
+    const first = measured[0];
+    const last = measured[measured.length - 1];
+    const weight = last.weight || this.getLatestWeight(data, last.date);
+    const span = first.body_fat - target;
+
+    return {
+      current: last.body_fat,
+      change: Math.round((last.body_fat - first.body_fat) * 10) / 10,
+      target,
+      toGoal: target ? Math.round((last.body_fat - target) * 10) / 10 : null,
+      // 最初の記録から目標までのうち何%進んだか
+      progress: target && span > 0
+        ? Math.max(0, Math.min(100, Math.round((first.body_fat - last.body_fat) / span * 100)))
+        : null,
+      composition: this.calculateBodyComposition(weight, last.body_fat, settings.height),
+      date: last.date
+    };
+  },
+
+  /**
+   * 体脂肪率を測った日の脂肪量・除脂肪量と、最初の測定からの変化（グラフ用）
+   * 体重を測っていない日は直前の体重を使う
+   * @param {Array} calendar - buildCalendarDays の結果
+   * @returns {Object} { fatMass, leanMass, fatChange, leanChange }（測っていない日は null）
+   */
+  calculateBodyCompositionSeries(calendar, settings) {
+    let weight = null;
+    let first = null;
+    const series = { fatMass: [], leanMass: [], fatChange: [], leanChange: [] };
+
+    calendar.forEach(d => {
+      if (d.weight) weight = d.weight;
+      const composition = this.calculateBodyComposition(weight, d.body_fat, settings.height);
+      if (composition && !first) first = composition;
+
+      series.fatMass.push(composition ? composition.fatMass : null);
+      series.leanMass.push(composition ? composition.leanMass : null);
+      series.fatChange.push(composition ? Math.round((composition.fatMass - first.fatMass) * 10) / 10 : null);
+      series.leanChange.push(composition ? Math.round((composition.leanMass - first.leanMass) * 10) / 10 : null);
+    });
+
+    return series;
+  },
+
   /**
    * 歩数データを取得
    */
@@ -561,11 +1549,9 @@ const DataManager = {
     // 最新の歩数を取得
     const current = validSteps.length > 0 ? validSteps[validSteps.length - 1].steps : null;
 
-    // 週間平均を計算
-    const last7Days = data.slice(-7);
-    const validWeekSteps = last7Days.filter(d => d.steps !== null && d.steps !== undefined);
-    const avgSteps = validWeekSteps.length > 0
-      ? Math.round(validWeekSteps.reduce((sum, d) => sum + d.steps, 0) / validWeekSteps.length)
+    // 表示期間の平均を計算
+    const avgSteps = validSteps.length > 0
+      ? Math.round(validSteps.reduce((sum, d) => sum + d.steps, 0) / validSteps.length)
       : null;
 
     return {
@@ -576,9 +1562,9 @@ const DataManager = {
   },
 
   /**
-   * 前日のカロリーデータを取得
+   * 前日のカロリーデータを取得（その日に有効だった目標と比較）
    */
-  getYesterdayCalories(data, goals) {
+  getYesterdayCalories(data, settings, goalHistory) {
     // 最新のカロリーデータを持つエントリを取得（直近2件）
     const logsWithCalories = data.filter(d => d.calories_intake !== null);
     if (logsWithCalories.length === 0) {
@@ -587,7 +1573,8 @@ const DataManager = {
 
     // 最新のエントリ（前日として扱う）
     const latest = logsWithCalories[logsWithCalories.length - 1];
-    const diff = latest.calories_intake - goals.calories;
+    const target = this.getCalorieTargetForDate(latest.date, settings, goalHistory);
+    const diff = latest.calories_intake - target;
 
     return {
       calories: latest.calories_intake,
@@ -596,16 +1583,110 @@ const DataManager = {
     };
   },
 
+  /**
+   * 開始日から最新の記録日までの全日付の行を作成（記録のない日は値がnullの行）
+   * @param {Array} sortedDaily - 日付順の daily_log
+   * @param {Object} settings - 設定（start_date）
+   */
+  buildCalendarDays(sortedDaily, settings) {
+    const hasData = d => d.weight !== null || d.calories_intake !== null || d.waist !== null
+      || (d.steps !== null && d.steps !== undefined) || !!d.body_fat;
+    const withData = sortedDaily.filter(hasData);
+    if (withData.length === 0) return [];
+
+    const byDate = {};
+    sortedDaily.forEach(d => {
+      byDate[d.date] = d;
+    });
+
+    const firstDate = settings.start_date && settings.start_date < withData[0].date
+      ? settings.start_date
+      : withData[0].date;
+    const lastDate = withData[withData.length - 1].date;
+
+    const days = [];
+    const cursor = new Date(`${firstDate}T00:00:00`);
+    while (this.toDateString(cursor) <= lastDate) {
+      const date = this.toDateString(cursor);
+      days.push(byDate[date] || {
+        date,
+        weight: null,
+        waist: null,
+        body_fat: null,
+        steps: null,
+        calories_intake: null,
+        protein: null,
+        fat: null,
+        carbs: null,
+        notes: ''
+      });
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return days;
+  },
+
+  /**
+   * 累積のエネルギー収支から予想される体重変化と、実際の体重（7日移動平均）の変化を比較
+   * どちらも開始日（start_date）以降で最初に移動平均がある日を0とする
+   * @param {Array} energyBalance - calculateEnergyBalance の結果
+   * @param {Array} movingAvg - 同じ日付軸の体重の移動平均（calculateMovingAverage）
+   * @param {Object} settings - 設定（start_date, balance_drift_kg）
+   * @returns {Object} { expected, actual, latest: { date, expected, actual, drift } | null, threshold, drifting }
+   */
+  calculateBalanceDrift(energyBalance, movingAvg, settings) {
+    const threshold = settings.balance_drift_kg ?? this.getDefaultSettings().balance_drift_kg;
+    const startIndex = energyBalance.findIndex((d, i) =>
+      (!settings.start_date || d.date >= settings.start_date) && movingAvg[i] !== null);
+
+    if (startIndex < 0) {
+      const empty = energyBalance.map(() => null);
+      return { expected: empty, actual: empty, latest: null, threshold, drifting: false };
+    }
+
+    const baseCumulative = startIndex > 0 ? energyBalance[startIndex - 1].cumulative : 0;
+    const round = value => Math.round(value * 100) / 100;
+    const expected = energyBalance.map((d, i) => (i < startIndex
+      ? null
+      : round((d.cumulative - baseCumulative) / this.KCAL_PER_KG)));
+    const actual = movingAvg.map((avg, i) => (i < startIndex || avg === null
+      ? null
+      : round(avg - movingAvg[startIndex])));
+
+    // 最新の移動平均がある日で比べる
+    let latest = null;
+    for (let i = actual.length - 1; i > startIndex; i--) {
+      if (actual[i] !== null) {
+        latest = {
+          date: energyBalance[i].date,
+          expected: expected[i],
+          actual: actual[i],
+          drift: round(actual[i] - expected[i])
+        };
+        break;
+      }
+    }
+
+    return {
+      expected,
+      actual,
+      latest,
+      threshold,
+      drifting: latest !== null && Math.abs(latest.drift) > threshold
+    };
+  },
+
   /**
    * グラフ用にデータを整形
+   * グラフは全て同じカレンダー軸（開始日〜最新の記録日の毎日）で描画する
    */
-  prepareChartData(data, settings) {
+  prepareChartData(data, settings, trainingCalories = {}) {
     const dailyLog = data.daily_log || [];
     const weeklyMeasurements = data.weekly_measurements || [];
-    const goals = settings.goals || { calories: 2600, protein: 195, fat: 58, carbs: 325 };
+    const goalHistory = data.goal_history || this.getGoalHistory();
 
     // 日付でソート
-    const sortedDaily = [...dailyLog].sort((a, b) =>
+    let sortedDaily = [...dailyLog].sort((a, b) =>
       new Date(a.date) - new Date(b.date)
     );
 
@@ -613,50 +1694,96 @@ const DataManager = {
       new Date(a.date) - new Date(b.date)
     );
 
-    // 腹囲データを日別ログからも取得
-    const waistData = sortedDaily
-      .filter(d => d.waist !== null && d.waist > 0)
-      .map(d => ({ date: d.date, waist: d.waist }));
+    // 採寸は週ごとの記録・日々の腹囲・手入力の採寸を日付でまとめ（同じ日は手入力 → 日々の記録 → 週ごとの記録の順に優先）、
+    // 日々の記録の腹囲もまとめた値にそろえる
+    const measurements = this.mergeMeasurements(
+      sortedWeekly,
+      sortedDaily.filter(d => d.waist).map(d => ({ date: d.date, waist: d.waist })),
+      data.browser_measurements
+    );
+    sortedDaily = this.applyMeasurementsToDailyLog(sortedDaily, measurements);
+
+    // グラフ用のカレンダー軸（記録のない日も含む）
+    const calendar = this.buildCalendarDays(sortedDaily, settings);
+    const labels = calendar.map(d => this.formatDate(d.date));
+
+    // 統計の対象（最新の記録日より後の空行は含めない）
+    const lastDate = calendar.length > 0 ? calendar[calendar.length - 1].date : null;
+    const statRows = sortedDaily.filter(d => lastDate && d.date <= lastDate);
 
-    // 歩数データを取得
-    const stepsData = this.getStepsData(sortedDaily, settings);
+    // 摂取カロリーと体重推移から逆算した消費カロリー
+    const adaptiveTdee = this.calculateAdaptiveTDEE(sortedDaily);
+
+    // 日ごとのエネルギー収支（推定消費は基礎代謝・日常活動・トレーニングの合計）
+    const energyBalance = this.calculateEnergyBalance(calendar, settings, trainingCalories);
+    const weightMovingAvg = this.calculateMovingAverage(calendar, 'weight', 7);
+    const balanceDrift = this.calculateBalanceDrift(energyBalance, weightMovingAvg, settings);
 
     return {
       // 体重グラフ用
       weight: {
-        labels: sortedDaily.map(d => this.formatDate(d.date)),
-        data: sortedDaily.map(d => d.weight || null),
-        movingAvg: this.calculateMovingAverage(sortedDaily, 'weight', 7),
-        targetLine: Array(sortedDaily.length).fill(settings.target_weight)
+        dates: calendar.map(d => d.date),
+        labels: labels,
+        data: calendar.map(d => d.weight || null),
+        movingAvg: weightMovingAvg,
+        targetLine: Array(calendar.length).fill(settings.target_weight)
       },
 
       // カロリーグラフ用（日付に応じた目標線）
       calories: {
-        labels: sortedDaily.map(d => this.formatDate(d.date)),
-        intake: sortedDaily.map(d => d.calories_intake || null),
-        targetLine: sortedDaily.map(d => this.getCalorieTargetForDate(d.date, settings))
+        labels: labels,
+        intake: calendar.map(d => d.calories_intake || null),
+        targetLine: calendar.map(d => this.getCalorieTargetForDate(d.date, settings, goalHistory)),
+        adaptiveTdee: calendar.map(d => adaptiveTdee[d.date] ? adaptiveTdee[d.date].tdee : null)
       },
 
-      // 腹囲推移用
+      // 腹囲推移用（体重と同じ軸、測っていない日はnull）
       waist: {
-        labels: waistData.map(d => this.formatDate(d.date)),
-        data: waistData.map(d => d.waist)
+        labels: labels,
+        data: calendar.map(d => d.waist || null)
+      },
+
+      // エネルギー収支（日ごとの収支と開始日からの累積）
+      energyBalance: {
+        labels: labels,
+        dates: calendar.map(d => d.date),
+        daily: energyBalance.map(d => d.balance),
+        cumulative: energyBalance.map(d => d.cumulative),
+        burn: energyBalance.map(d => d.burn)
+      },
+
+      // 部位別の採寸（最初の測定からの変化）とUS Navy式の推定体脂肪率
+      measurements: {
+        labels: labels,
+        ...this.calculateMeasurementSeries(calendar, measurements, settings)
+      },
+
+      // 体組成（脂肪量・除脂肪量と最初の測定からの変化）
+      bodyComposition: {
+        labels: labels,
+        ...this.calculateBodyCompositionSeries(calendar, settings)
+      },
+
+      // 累積収支から予想した体重変化と実際の変化（kg、開始日基準）
+      balanceDrift: {
+        labels: labels,
+        ...balanceDrift
       },
 
       // 歩数推移用
       steps: {
-        labels: sortedDaily.map(d => this.formatDate(d.date)),
-        data: sortedDaily.map(d => d.steps !== undefined ? d.steps : null),
+        labels: labels,
+        data: calendar.map(d => d.steps !== undefined ? d.steps : null),
         target: settings.target_steps || 10000,
-        targetLine: Array(sortedDaily.length).fill(settings.target_steps || 10000)
+        targetLine: Array(calendar.length).fill(settings.target_steps || 10000)
       },
 
       // 統計（mealsを渡してPFCをローカルJSONから計算）
-      stats: this.calculateWeeklyStats(sortedDaily, settings, data.meals),
-      weightChange: this.calculateWeightChange(sortedDaily, settings),
-      waistChange: this.calculateWaistChange(sortedDaily),
-      stepsData: stepsData,
-      yesterdayCalories: this.getYesterdayCalories(sortedDaily, goals),
+      ...this.calculateRangeStats(statRows, settings, data.meals, goalHistory),
+      weeklySummaries: this.calculateWeeklySummaries(sortedDaily, settings, data.meals),
+
+      // 表示期間の切り替え用（日付順の全ログ）
+      dailyLog: sortedDaily,
 
       // テーブル用（新しい順、今日以前かつデータがある行のみ）
       recentLogs: (() => {
@@ -672,11 +1799,173 @@ const DataManager = {
           .slice(0, 14);
       })(),
 
+      // 逆算した消費カロリー（日付 → { tdee, confidence }）
+      adaptiveTdee: adaptiveTdee,
+
       // 食事データ
       meals: data.meals || {},
 
       // 計画データ
-      plan: data.plan || null
+      plan: data.plan || null,
+
+      // 目標変更履歴（日付ごとの目標の解決に使用）
+      goalHistory: goalHistory
+    };
+  },
+
+  /**
+   * 期間内のログからサマリーカード・統計用の値を計算
+   */
+  calculateRangeStats(rows, settings, meals, goalHistory) {
+    return {
+      stats: this.calculateWeeklyStats(rows, settings, meals, goalHistory),
+      weightChange: this.calculateWeightChange(rows, settings),
+      waistChange: this.calculateWaistChange(rows),
+      bodyFatChange: this.calculateBodyFatChange(rows, settings),
+      stepsData: this.getStepsData(rows, settings),
+      yesterdayCalories: this.getYesterdayCalories(rows, settings, goalHistory)
+    };
+  },
+
+  /**
+   * 表示期間のプリセット
+   */
+  dateRangePresets: {
+    '7d': { label: '直近7日', days: 7 },
+    '30d': { label: '直近30日', days: 30 },
+    '90d': { label: '直近90日', days: 90 },
+    phase: { label: '現フェーズ' },
+    all: { label: '全期間' },
+    custom: { label: '期間指定' }
+  },
+
+  /**
+   * 表示期間の指定を具体的な日付に変換
+   * @param {Object} range - { preset, from, to }
+   * @param {Array} dates - カレンダー軸の日付（YYYY-MM-DD）
+   * @param {Object} settings - 設定（start_date）
+   * @param {Object} plan - 計画（current_phase）
+   * @param {Array} goalHistory - 目標変更履歴（フェーズの開始日の判定に使う）
+   * @returns {Object} { from, to }
+   */
+  resolveDateRange(range, dates, settings, plan, goalHistory) {
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    const preset = this.dateRangePresets[range.preset];
+
+    if (preset && preset.days) {
+      const from = new Date(`${last}T00:00:00`);
+      from.setDate(from.getDate() - (preset.days - 1));
+      return { from: this.toDateString(from), to: last };
+    }
+    if (range.preset === 'phase') {
+      return { from: this.getPhaseStartDate(plan, goalHistory, last) || settings.start_date || first, to: last };
+    }
+    if (range.preset === 'custom') {
+      const from = range.from || first;
+      const to = range.to || last;
+      // 開始日と終了日が逆なら入れ替える
+      return from <= to ? { from, to } : { from: to, to: from };
+    }
+    return { from: first, to: last };
+  },
+
+  /**
+   * 現フェーズの開始日（目標変更履歴のうち、タイトルに現フェーズ名を含む最新の記録の日付）
+   * @param {Object} plan - 計画（current_phase）
+   * @param {Array} goalHistory - 目標変更履歴
+   * @param {string} until - この日以前の記録だけを見る（YYYY-MM-DD）
+   * @returns {string|null} 見つからなければ null
+   */
+  getPhaseStartDate(plan, goalHistory, until) {
+    const phase = plan && plan.current_phase;
+    if (!phase) return null;
+
+    const starts = (goalHistory || [])
+      .filter(item => item.date && item.date <= until && (item.title || '').includes(phase))
+      .map(item => item.date)
+      .sort();
+    return starts.length > 0 ? starts[starts.length - 1] : null;
+  },
+
+  /**
+   * 表示期間でグラフ系列を切り出し、統計・サマリーカードを再計算
+   * @param {Object} chartData - prepareChartData の結果（全期間）
+   * @param {Object} range - { preset, from, to }
+   */
+  applyDateRange(chartData, range, settings, meals) {
+    const dates = chartData.weight.dates;
+    if (!range || range.preset === 'all' || dates.length === 0) {
+      return { ...chartData, range: { from: dates[0], to: dates[dates.length - 1] } };
+    }
+
+    const { from, to } = this.resolveDateRange(range, dates, settings, chartData.plan, chartData.goalHistory);
+    const indexes = dates.map((d, i) => (d >= from && d <= to ? i : -1)).filter(i => i >= 0);
+    const slice = (arr) => indexes.map(i => arr[i]);
+    const rows = chartData.dailyLog.filter(d => d.date >= from && d.date <= to);
+
+    return {
+      ...chartData,
+      ...this.calculateRangeStats(rows, settings, meals, chartData.goalHistory),
+      range: { from, to },
+      // 週平均は期間に一部でもかかる週を残す
+      weeklySummaries: chartData.weeklySummaries.filter(w => w.weekEnd >= from && w.weekStart <= to),
+      weight: {
+        ...chartData.weight,
+        dates: slice(chartData.weight.dates),
+        labels: slice(chartData.weight.labels),
+        data: slice(chartData.weight.data),
+        movingAvg: slice(chartData.weight.movingAvg),
+        targetLine: slice(chartData.weight.targetLine)
+      },
+      calories: {
+        ...chartData.calories,
+        labels: slice(chartData.calories.labels),
+        intake: slice(chartData.calories.intake),
+        targetLine: slice(chartData.calories.targetLine),
+        adaptiveTdee: slice(chartData.calories.adaptiveTdee)
+      },
+      waist: {
+        ...chartData.waist,
+        labels: slice(chartData.waist.labels),
+        data: slice(chartData.waist.data)
+      },
+      energyBalance: {
+        ...chartData.energyBalance,
+        labels: slice(chartData.energyBalance.labels),
+        dates: slice(chartData.energyBalance.dates),
+        daily: slice(chartData.energyBalance.daily),
+        cumulative: slice(chartData.energyBalance.cumulative),
+        burn: slice(chartData.energyBalance.burn)
+      },
+      measurements: {
+        ...chartData.measurements,
+        labels: slice(chartData.measurements.labels),
+        values: Object.fromEntries(Object.keys(chartData.measurements.values)
+          .map(site => [site, slice(chartData.measurements.values[site])])),
+        changes: Object.fromEntries(Object.keys(chartData.measurements.changes)
+          .map(site => [site, slice(chartData.measurements.changes[site])])),
+        navyBodyFat: slice(chartData.measurements.navyBodyFat)
+      },
+      bodyComposition: {
+        labels: slice(chartData.bodyComposition.labels),
+        fatMass: slice(chartData.bodyComposition.fatMass),
+        leanMass: slice(chartData.bodyComposition.leanMass),
+        fatChange: slice(chartData.bodyComposition.fatChange),
+        leanChange: slice(chartData.bodyComposition.leanChange)
+      },
+      balanceDrift: {
+        ...chartData.balanceDrift,
+        labels: slice(chartData.balanceDrift.labels),
+        expected: slice(chartData.balanceDrift.expected),
+        actual: slice(chartData.balanceDrift.actual)
+      },
+      steps: {
+        ...chartData.steps,
+        labels: slice(chartData.steps.labels),
+        data: slice(chartData.steps.data),
+        targetLine: slice(chartData.steps.targetLine)
+      }
     };
   },
 
@@ -690,24 +1979,38 @@ const DataManager = {
     return this.cachedData.meals[date] || null;
   },
 
+  /**
+   * PFC評価の許容幅（g）
+   * protein・fat は目標との差がこの範囲なら「理想的」、fatOver・carbsOver を超えると過多
+   */
+  pfcTolerances: {
+    protein: 20,
+    fat: 15,
+    fatOver: 20,
+    carbsOver: 50
+  },
+
   /**
    * PFC評価を取得
+   * @param {Object} log - { protein, fat, carbs }
+   * @param {Object} goals - その日に有効だった目標（getGoalsForDate）
    */
   evaluatePFC(log, goals) {
     if (!log.protein || !log.fat || !log.carbs || !goals) {
       return null;
     }
 
+    const tolerance = this.pfcTolerances;
     const proteinDiff = log.protein - goals.protein;
     const fatDiff = log.fat - goals.fat;
     const carbsDiff = log.carbs - goals.carbs;
 
     const issues = [];
-    if (proteinDiff < -20) issues.push('P不足');
-    if (fatDiff > 20) issues.push('F過多');
-    if (carbsDiff > 50) issues.push('C過多');
+    if (proteinDiff < -tolerance.protein) issues.push('P不足');
+    if (fatDiff > tolerance.fatOver) issues.push('F過多');
+    if (carbsDiff > tolerance.carbsOver) issues.push('C過多');
 
-    if (issues.length === 0 && Math.abs(proteinDiff) <= 20 && Math.abs(fatDiff) <= 15) {
+    if (issues.length === 0 && Math.abs(proteinDiff) <= tolerance.protein && Math.abs(fatDiff) <= tolerance.fat) {
       return { status: 'good', text: '理想的' };
     } else if (issues.length > 0) {
       return { status: 'warning', text: issues.join('・') };
@@ -740,5 +2043,43 @@ const DataManager = {
       apiKey: localStorage.getItem('weightDashboard_apiKey') || '',
       sheetId: localStorage.getItem('weightDashboard_sheetId') || ''
     };
+  },
+
+  /**
+   * 消費カロリーの計算方法をローカルストレージに保存
+   * @param {Object} config - { model, activityFactor }
+   */
+  saveEnergyModel(config) {
+    localStorage.setItem('weightDashboard_energyModel', JSON.stringify(config || {}));
+  },
+
+  /**
+   * 消費カロリーの計算方法をローカルストレージから読み込み
+   */
+  loadEnergyModel() {
+    try {
+      return JSON.parse(localStorage.getItem('weightDashboard_energyModel')) || {};
+    } catch (e) {
+      return {};
+    }
+  },
+
+  /**
+   * Inputシートの列の割り当てをローカルストレージに保存
+   * @param {Object} mapping - { 見出し: 項目名 | 'custom' | 'ignore' }
+   */
+  saveColumnMapping(mapping) {
+    localStorage.setItem('weightDashboard_columnMapping', JSON.stringify(mapping || {}));
+  },
+
+  /**
+   * Inputシートの列の割り当てをローカルストレージから読み込み
+   */
+  loadColumnMapping() {
+    try {
+      return JSON.parse(localStorage.getItem('weightDashboard_columnMapping')) || {};
+    } catch (e) {
+      return {};
+    }
   }
 };
@@ -0,0 +1,392 @@
+/**
+ * 食品データベースモジュール
+ * 食事履歴の品目名（例: 「白米 250g」「飲みプロテイン 1.5杯分」）から食品ごとの栄養プロファイルを作り、
+ * 量を変えたときのカロリー・PFCを比例計算する
+ */
+
+const FoodCatalog = {
+  // 食品一覧（key → 食品）
+  foods: {},
+
+  // 100gあたりで扱う単位
+  weightUnits: ['g', 'ml'],
+
+  // 盛りの大きさを表す語（食品名からは除く）
+  sizeWords: ['特盛り', '大盛り', '中盛り', '並盛り', '小盛り', '大盛', '中盛', '並盛', '小盛'],
+
+  /**
+   * 品目名を食品名・量・単位に分解
+   * 例: 「白米 大盛り（350g）」→ { name: '白米', amount: 350, unit: 'g' }
+   *     「バナナ 1本（100g）」→ { name: 'バナナ', amount: 100, unit: 'g' }
+   *     「白身魚のフライ 30g × 3個」→ { name: '白身魚のフライ', amount: 90, unit: 'g' }
+   *     「飲みプロテイン 1.5杯分」→ { name: '飲みプロテイン', amount: 1.5, unit: '杯' }
+   *     「イヌリン 小さじ2杯」→ { name: 'イヌリン', amount: 2, unit: '小さじ' }
+   *     「ザバス プロテインパック 430ml（30g）」→ { name: 'ザバス プロテインパック', amount: 430, unit: 'ml' }
+   *     「ファミマ ブラックペッパーサラダチキン（19.9g）」「ザバス プロテインパック（20g）」→ 量なし
+   *     （食品名の直後の括弧はタンパク質量などの表記のことがあるので量とみなさない）
+   * @returns {Object} { name, amount, unit }（量が読み取れない場合 amount は null）
+   */
+  parseItemName(itemName) {
+    const text = String(itemName || '').normalize('NFKC').trim();
+    const sizePattern = this.sizeWords.join('|');
+    const number = '\\d+(?:\\.\\d+)?';
+
+    // 盛りの大きさか個数の後の括弧内にグラム表記がある（「白米 大盛り(350g)」「餅 1.5個(75g)」）
+    const grams = text.match(new RegExp(`^(.*?)\\s*(?:(${sizePattern})|(${number})\\s*([^\\d\\s()]+))\\s*\\((${number})\\s*(g|ml)\\)$`, 'i'));
+    if (grams && grams[1] && (grams[2] || !this.weightUnits.includes(grams[4].toLowerCase()))) {
+      return { name: grams[1].trim(), amount: Number(grams[5]), unit: grams[6].toLowerCase() };
+    }
+
+    // 1個あたりの量 × 個数（「白身魚の煮付け 60g × 3切れ」）
+    const multiplied = text.match(new RegExp(`^(.*?)\\s*(${number})\\s*(g|ml)\\s*[×x*]\\s*(${number})\\s*[^\\d\\s()]*$`, 'i'));
+    if (multiplied && multiplied[1]) {
+      return {
+        name: multiplied[1].trim(),
+        amount: Math.round(Number(multiplied[2]) * Number(multiplied[4]) * 10) / 10,
+        unit: multiplied[3].toLowerCase()
+      };
+    }
+
+    // 末尾に量がある（「白米 250g」「餃子 1皿(6個)」「イヌリン 小さじ2杯」）
+    const trailing = text.match(/^(.*?)\s*(小さじ|大さじ)?\s*(\d+(?:\.\d+)?)\s*([^\d\s()]*)\s*(?:\([^)]*\))?$/);
+    if (trailing && trailing[1] && (trailing[2] || trailing[4])) {
+      const unit = trailing[2] || trailing[4].replace(/分$/, '');
+      return {
+        name: trailing[1].replace(new RegExp(`\\s*(?:${sizePattern})$`), '').trim(),
+        amount: Number(trailing[3]),
+        unit: this.weightUnits.includes(unit.toLowerCase()) ? unit.toLowerCase() : unit
+      };
+    }
+
+    return { name: text, amount: null, unit: '' };
+  },
+
+  /**
+   * 食品のキー（食品名と単位の組）
+   */
+  getKey(name, unit) {
+    return `${name}|${unit || ''}`;
+  },
+
+  /**
+   * 単位あたりの基準量（グラム系は100、それ以外は1）
+   */
+  getBase(unit) {
+    return this.weightUnits.includes(unit) ? 100 : 1;
+  },
+
+  /**
+   * 食事履歴から食品の栄養プロファイルを作成
+   * 同じ食品は基準量あたりの値を平均する（筋トレは除く）
+   * @param {Object} meals - 日付ごとの食事データ
+   * @returns {Object} key → { key, name, unit, base, calories, protein, fat, carbs, defaultAmount, uses, lastUsed, days }
+   *   days は日付ごとの基準量あたりの値の合計と回数（日を保存し直したときに差し替える）
+   */
+  mine(meals) {
+    const sums = {};
+
+    Object.keys(meals || {}).sort().forEach(date => {
+      ['breakfast', 'lunch', 'snack', 'dinner'].forEach(type => {
+        ((meals[date] && meals[date][type]) || []).forEach(item => {
+          const parsed = this.parseItemName(item.name);
+          if (!parsed.name) return;
+
+          const amount = parsed.amount || 1;
+          const base = this.getBase(parsed.unit);
+          const key = this.getKey(parsed.name, parsed.unit);
+          if (!sums[key]) {
+            sums[key] = { key, name: parsed.name, unit: parsed.unit, base, days: {} };
+          }
+
+          const food = sums[key];
+          if (!food.days[date]) {
+            food.days[date] = { calories: 0, protein: 0, fat: 0, carbs: 0, uses: 0 };
+          }
+          const day = food.days[date];
+          ['calories', 'protein', 'fat', 'carbs'].forEach(field => {
+            day[field] += (item[field] || 0) * base / amount;
+          });
+          day.uses++;
+          food.defaultAmount = amount;
+          food.lastUsed = date;
+        });
+      });
+    });
+
+    const foods = {};
+    Object.values(sums).forEach(food => {
+      foods[food.key] = this.summarize(food);
+    });
+    return foods;
+  },
+
+  /**
+   * 日付ごとの合計から回数と基準量あたりの平均を計算
+   */
+  summarize(food) {
+    const totals = { calories: 0, protein: 0, fat: 0, carbs: 0, uses: 0 };
+    Object.values(food.days).forEach(day => {
+      Object.keys(totals).forEach(field => {
+        totals[field] += day[field];
+      });
+    });
+
+    return {
+      ...food,
+      uses: totals.uses,
+      calories: Math.round(totals.calories / totals.uses),
+      protein: Math.round(totals.protein / totals.uses * 10) / 10,
+      fat: Math.round(totals.fat / totals.uses * 10) / 10,
+      carbs: Math.round(totals.carbs / totals.uses * 10) / 10
+    };
+  },
+
+  /**
+   * 保存済みの食品データベースを読み込み、食事履歴にしかない食品を追加
+   * 日付ごとの合計を持たない以前の形式の食品は食事履歴から作り直す
+   */
+  async load(meals) {
+    let stored = [];
+    try {
+      stored = await LocalStore.getAll('foods');
+    } catch (error) {
+      console.log('食品データベースを読み込めませんでした:', error);
+    }
+
+    const foods = {};
+    stored.forEach(food => {
+      foods[food.key] = food;
+    });
+
+    const added = [];
+    Object.values(this.mine(meals)).forEach(food => {
+      const current = foods[food.key];
+      if (current && current.days) return;
+      foods[food.key] = food;
+      added.push(food);
+    });
+    this.foods = foods;
+
+    try {
+      await Promise.all(added.map(food => LocalStore.put('foods', food)));
+    } catch (error) {
+      console.log('食品データベースを保存できませんでした:', error);
+    }
+    return foods;
+  },
+
+  /**
+   * 保存した1日分の食事で食品データベースを更新
+   * その日の以前の分を差し替えてから平均し直す（同じ日を何度保存しても1日分として数える）
+   */
+  async learn(date, dayMeals) {
+    const mined = this.mine({ [date]: dayMeals });
+    const updates = [];
+    const removed = [];
+
+    Object.values(this.foods).forEach(food => {
+      if (mined[food.key] || !food.days || !food.days[date]) return;
+      const days = { ...food.days };
+      delete days[date];
+      if (Object.keys(days).length === 0) {
+        removed.push(food.key);
+      } else {
+        updates.push(this.summarize({ ...food, days }));
+      }
+    });
+
+    Object.values(mined).forEach(food => {
+      const current = this.foods[food.key];
+      if (!current || !current.days) {
+        updates.push(food);
+        return;
+      }
+      const latest = date >= (current.lastUsed || '');
+      updates.push(this.summarize({
+        ...current,
+        days: { ...current.days, [date]: food.days[date] },
+        defaultAmount: latest ? food.defaultAmount : current.defaultAmount,
+        lastUsed: latest ? date : current.lastUsed
+      }));
+    });
+
+    updates.forEach(food => {
+      this.foods[food.key] = food;
+    });
+    removed.forEach(key => {
+      delete this.foods[key];
+    });
+    await Promise.all([
+      ...updates.map(food => LocalStore.put('foods', food)),
+      ...removed.map(key => LocalStore.delete('foods', key))
+    ]);
+  },
+
+  /**
+   * 食品を指定した量に換算
+   * @returns {Object} { calories, protein, fat, carbs }
+   */
+  scale(food, amount) {
+    const ratio = amount / food.base;
+    return {
+      calories: Math.round(food.calories * ratio),
+      protein: Math.round(food.protein * ratio * 10) / 10,
+      fat: Math.round(food.fat * ratio * 10) / 10,
+      carbs: Math.round(food.carbs * ratio * 10) / 10
+    };
+  },
+
+  /**
+   * 入力された品目名から食品を探して栄養値を計算
+   * レシピがあればその日に有効なバージョンを優先する
+   * 量がなければ前回の量を使い、品目名もそれに合わせて整える
+   * @param {string} itemName - 品目名（例: 「白米 180g」）
+   * @param {string} date - 記録する日（YYYY-MM-DD）
+   * @returns {Object|null} { name, calories, protein, fat, carbs }
+   */
+  resolve(itemName, date) {
+    const parsed = this.parseItemName(itemName);
+    const recipe = parsed.unit === 'g' || parsed.amount === null
+      ? RecipeBook.toFood(parsed.name, date)
+      : null;
+    const food = recipe
+      || this.foods[this.getKey(parsed.name, parsed.unit)]
+      || (parsed.amount === null ? this.findByName(parsed.name) : null);
+    if (!food) return null;
+
+    const amount = parsed.amount !== null ? parsed.amount : food.defaultAmount;
+    return {
+      name: parsed.amount !== null ? itemName : this.formatItemName(food, amount),
+      ...this.scale(food, amount)
+    };
+  },
+
+  /**
+   * 食品名だけで探す（複数の単位がある場合はよく使う方）
+   */
+  findByName(name) {
+    return Object.values(this.foods)
+      .filter(food => food.name === name)
+      .sort((a, b) => b.uses - a.uses)[0] || null;
+  },
+
+  /**
+   * 食品と量から品目名を作成（例: 「白米 180g」）
+   */
+  formatItemName(food, amount) {
+    if (!food.unit) return food.name;
+    if (food.unit === '小さじ' || food.unit === '大さじ') return `${food.name} ${food.unit}${amount}`;
+    return `${food.name} ${amount}${food.unit}`;
+  },
+
+  /**
+   * 食事メモを meals の形に変換
+   * 品目名は食品データベース（レシピを含む）で換算し、換算できない品目は
+   * メモにある区分の合計kcalから換算済みの分を引いた残りを按分する（PFCは不明のまま）
+   * @param {string} noteText - daily_log の notes
+   * @param {string} date - 記録の日（YYYY-MM-DD）
+   * @returns {Object|null} { meals, blocks: [{ type, raw, noteCalories }], unresolved }（構造化されていなければ null）
+   *   各品目の status は 'resolved'（換算済み）| 'estimated'（kcalのみ按分）| 'unresolved'（不明）
+   */
+  convertNotes(noteText, date) {
+    const parsed = DataManager.parseMealNotes(noteText);
+    if (!parsed.structured) return null;
+
+    const meals = {};
+    const blocks = [];
+    let unresolved = 0;
+
+    Object.keys(parsed.blocks).forEach(type => {
+      const block = parsed.blocks[type];
+      let items;
+
+      if (type === 'exercise') {
+        // 筋トレは消費カロリーを種目に按分（マイナスで記録）
+        const share = block.calories ? -Math.round(block.calories / block.items.length) : 0;
+        items = block.items.map(name => ({ name, calories: share, protein: 0, fat: 0, carbs: 0, status: 'resolved' }));
+      } else {
+        items = block.items.map(name => {
+          const resolved = this.resolve(name, date);
+          return resolved
+            ? { ...resolved, status: 'resolved' }
+            : { name, calories: 0, protein: 0, fat: 0, carbs: 0, status: 'unresolved' };
+        });
+
+        const pending = items.filter(item => item.status === 'unresolved');
+        const resolvedCalories = items.reduce((sum, item) => sum + item.calories, 0);
+        const rest = block.calories - resolvedCalories;
+        if (pending.length > 0 && rest > 0) {
+          pending.forEach(item => {
+            item.calories = Math.round(rest / pending.length);
+            item.status = 'estimated';
+          });
+        }
+        unresolved += items.filter(item => item.status !== 'resolved').length;
+      }
+
+      meals[type] = items;
+      blocks.push({ type, raw: block.raw, noteCalories: block.calories });
+    });
+
+    return { meals, blocks, unresolved };
+  },
+
+  /**
+   * タンパク質の不足分を埋める食品と量を提案
+   * よく食べる食品（2回以上記録・レシピ）を前回の量の1〜2倍で試し、脂質の残りに収まるものから
+   * 不足分に最も近づくものを選ぶ
+   * @param {number} proteinGap - 不足しているタンパク質（g）
+   * @param {number|null} fatRoom - 脂質の残り（g、上限がなければ null）
+   * @param {string} date - 記録する日（YYYY-MM-DD）
+   * @param {number} limit - 提案数
+   * @returns {Array} [{ name, calories, protein, fat, carbs }]
+   */
+  suggestProteinPortions(proteinGap, fatRoom, date, limit = 2) {
+    if (!proteinGap || proteinGap <= 0) return [];
+
+    const candidates = this.getSuggestions(date)
+      .filter(food => (food.recipe || food.uses >= 2) && food.protein > 0 && food.defaultAmount)
+      .filter(food => !food.name.includes('合計'));
+
+    const options = candidates.map(food => {
+      const portions = [1, 2]
+        .map(times => {
+          const amount = Math.round(food.defaultAmount * times * 10) / 10;
+          return { name: this.formatItemName(food, amount), ...this.scale(food, amount) };
+        })
+        .filter(portion => fatRoom === null || portion.fat <= fatRoom);
+      if (portions.length === 0) return null;
+
+      // 不足分に近い量（取りすぎは2割まで）
+      const best = portions
+        .filter(portion => portion.protein <= proteinGap * 1.2)
+        .sort((a, b) => b.protein - a.protein)[0];
+      return best || null;
+    }).filter(option => option);
+
+    return options
+      .sort((a, b) => b.protein - a.protein || a.fat - b.fat)
+      .slice(0, limit);
+  },
+
+  /**
+   * 入力候補用の食品一覧（レシピを先頭に、残りはよく使う順）
+   */
+  getSuggestions(date) {
+    const recipes = RecipeBook.getFoods(date);
+    const recipeKeys = recipes.map(food => food.key);
+    const foods = Object.values(this.foods)
+      .filter(food => !recipeKeys.includes(food.key))
+      .sort((a, b) => b.uses - a.uses);
+    return [...recipes, ...foods];
+  },
+
+  /**
+   * 基準量の表示（例: 「100gあたり」「1杯あたり」）
+   */
+  formatBase(food) {
+    if (food.recipe) return `レシピv${food.version} 100gあたり`;
+    if (!food.unit) return '1食あたり';
+    return `${food.base}${food.unit}あたり`;
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * 目標体重の到達予測モジュール
+ * 7日移動平均に直線回帰を当てはめ、目標体重に届く日を楽観・悲観の幅つきで推定
+ */
+
+const WeightForecast = {
+  // 回帰に使う直近の日数
+  windowDays: 28,
+
+  // グラフに描く予測の最大日数
+  chartHorizonDays: 60,
+
+  // 予測を打ち切る最大日数（これより先は「到達見込みなし」扱い）
+  maxHorizonDays: 730,
+
+  /**
+   * 日付と値の組に最小二乗法で直線を当てはめる
+   * @param {Array} points - [{ x: 日数, y: 値 }]
+   * @returns {Object|null} { slope, intercept, slopeError }
+   */
+  linearRegression(points) {
+    const n = points.length;
+    if (n < 3) return null;
+
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    points.forEach(p => {
+      sxx += (p.x - meanX) * (p.x - meanX);
+      sxy += (p.x - meanX) * (p.y - meanY);
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+
+    // 傾きの標準誤差
+    const residual = points.reduce((sum, p) => {
+      const diff = p.y - (intercept + slope * p.x);
+      return sum + diff * diff;
+    }, 0);
+    const slopeError = Math.sqrt(residual / (n - 2) / sxx);
+
+    return { slope, intercept, slopeError };
+  },
+
+  /**
+   * 目標体重への到達日を予測
+   * @param {Array} dates - YYYY-MM-DD の配列（日付順）
+   * @param {Array} movingAvg - dates に対応する7日移動平均
+   * @param {number} targetWeight - 目標体重
+   * @returns {Object|null} 予測結果（データ不足なら null）
+   */
+  forecast(dates, movingAvg, targetWeight) {
+    const valid = dates
+      .map((date, i) => ({ date, value: movingAvg[i] }))
+      .filter(p => p.value !== null && p.value !== undefined);
+    if (valid.length < 3 || !targetWeight) return null;
+
+    const lastDate = valid[valid.length - 1].date;
+    const recent = valid.filter(p => DataManager.daysBetween(p.date, lastDate) < this.windowDays);
+    const points = recent.map(p => ({ x: -DataManager.daysBetween(p.date, lastDate), y: p.value }));
+
+    const fit = this.linearRegression(points);
+    if (!fit) return null;
+
+    // 95%区間の傾き（減量ペースが速い方が楽観）
+    const margin = 1.96 * fit.slopeError;
+    const slopes = {
+      expected: fit.slope,
+      optimistic: fit.slope - margin,
+      pessimistic: fit.slope + margin
+    };
+
+    const current = fit.intercept;  // 最新日（x=0）での推定体重
+    const remaining = targetWeight - current;
+
+    const arrival = {};
+    Object.keys(slopes).forEach(key => {
+      arrival[key] = this.daysToTarget(remaining, slopes[key]);
+    });
+
+    return {
+      lastDate,
+      current: Math.round(current * 10) / 10,
+      slopes,
+      weeklyRate: Math.round(fit.slope * 7 * 100) / 100,
+      arrivalDays: arrival,
+      arrivalDates: {
+        expected: this.addDays(lastDate, arrival.expected),
+        optimistic: this.addDays(lastDate, arrival.optimistic),
+        pessimistic: this.addDays(lastDate, arrival.pessimistic)
+      },
+      reached: remaining >= 0
+    };
+  },
+
+  /**
+   * 残り体重と傾きから到達までの日数を計算（届かない場合は null）
+   */
+  daysToTarget(remaining, slope) {
+    if (remaining >= 0) return 0;
+    if (slope >= 0) return null;
+    const days = Math.ceil(remaining / slope);
+    return days <= this.maxHorizonDays ? days : null;
+  },
+
+  /**
+   * 日付に日数を加算（null はそのまま）
+   */
+  addDays(dateStr, days) {
+    if (days === null || days === undefined) return null;
+    const date = new Date(`${dateStr}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return DataManager.toDateString(date);
+  },
+
+  /**
+   * グラフ用の予測系列を作成
+   * 最新の体重の日から予測線と幅を伸ばし、既存の日付より先の分をラベルに追加する
+   * @param {Object} forecast - forecast() の結果
+   * @param {Array} dates - グラフの日付（YYYY-MM-DD）
+   * @returns {Object} { labels, expected, optimistic, pessimistic }
+   */
+  buildChartSeries(forecast, dates) {
+    const empty = { labels: [], expected: [], optimistic: [], pessimistic: [] };
+    if (!forecast || forecast.reached) return empty;
+
+    const startIndex = dates.indexOf(forecast.lastDate);
+    if (startIndex < 0) return empty;
+
+    const horizon = Math.min(
+      this.chartHorizonDays,
+      forecast.arrivalDays.expected !== null ? forecast.arrivalDays.expected : this.chartHorizonDays
+    );
+
+    const pad = Array(startIndex).fill(null);
+    const series = { labels: [], expected: [...pad], optimistic: [...pad], pessimistic: [...pad] };
+    const lastAxisDate = dates[dates.length - 1];
+
+    for (let day = 0; day <= horizon; day++) {
+      const date = this.addDays(forecast.lastDate, day);
+      if (date > lastAxisDate) {
+        series.labels.push(DataManager.formatDate(date));
+      }
+      ['expected', 'optimistic', 'pessimistic'].forEach(key => {
+        const value = forecast.current + forecast.slopes[key] * day;
+        series[key].push(Math.round(value * 10) / 10);
+      });
+    }
+
+    return series;
+  }
+};
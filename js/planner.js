@@ -0,0 +1,227 @@
+/**
+ * 食事プランナーモジュール
+ * 食品とテンプレートから翌日の食事を組み立て、目標のカロリー・PFCに収まるよう量を調整する
+ */
+
+const MealPlanner = {
+  // 目標との差の許容幅（PFCは evaluatePFC と同じ、カロリーは独自）
+  calorieTolerance: 100,
+
+  // 量を変える刻み（グラム系と1食単位）
+  gramStep: 10,
+  servingStep: 0.5,
+
+  // 最適化の繰り返し上限
+  maxIterations: 500,
+
+  // 保存済みのプラン（日付 → プラン）
+  plans: {},
+
+  /**
+   * 保存済みのプランを読み込み
+   */
+  async load() {
+    let stored = [];
+    try {
+      stored = await LocalStore.getAll('mealPlans');
+    } catch (error) {
+      console.log('食事プランを読み込めませんでした:', error);
+    }
+
+    this.plans = {};
+    stored.forEach(plan => {
+      this.plans[plan.date] = plan;
+    });
+    return this.plans;
+  },
+
+  /**
+   * プランを保存
+   */
+  async save(date, items) {
+    const plan = { date, items, updated_at: new Date().toISOString() };
+    await LocalStore.put('mealPlans', plan);
+    this.plans[date] = plan;
+    return plan;
+  },
+
+  /**
+   * プランを削除
+   */
+  async delete(date) {
+    await LocalStore.delete('mealPlans', date);
+    delete this.plans[date];
+  },
+
+  /**
+   * 食品からプランの品目を作成（栄養値は基準量あたりで持つ）
+   * @param {Object} food - FoodCatalog の食品
+   * @param {string} mealType - 食事区分
+   * @param {number} amount - 量（省略時は前回の量）
+   */
+  createItem(food, mealType, amount) {
+    const isWeight = FoodCatalog.weightUnits.includes(food.unit);
+    const step = isWeight ? this.gramStep : this.servingStep;
+    const initial = amount || food.defaultAmount || (isWeight ? 100 : 1);
+    return {
+      name: food.name,
+      unit: food.unit,
+      base: food.base,
+      per: { calories: food.calories, protein: food.protein, fat: food.fat, carbs: food.carbs },
+      mealType,
+      amount: initial,
+      step,
+      max: Math.max(initial * 4, step * 10),
+      locked: false
+    };
+  },
+
+  /**
+   * テンプレートの品目をプランの品目に変換
+   * 食品データベースにない品目は量を変えられない固定の品目にする
+   */
+  createItemFromMealItem(item, mealType, date) {
+    const parsed = FoodCatalog.parseItemName(item.name);
+    const food = RecipeBook.toFood(parsed.name, date)
+      || FoodCatalog.foods[FoodCatalog.getKey(parsed.name, parsed.unit)];
+    if (food && parsed.amount) {
+      return this.createItem(food, mealType, parsed.amount);
+    }
+
+    return {
+      name: item.name,
+      unit: '',
+      base: 1,
+      per: { calories: item.calories || 0, protein: item.protein || 0, fat: item.fat || 0, carbs: item.carbs || 0 },
+      mealType,
+      amount: 1,
+      step: 1,
+      max: 1,
+      locked: true,
+      fixed: true
+    };
+  },
+
+  /**
+   * 品目の量に応じた栄養値
+   */
+  scaleItem(item) {
+    const ratio = item.amount / item.base;
+    return {
+      calories: Math.round(item.per.calories * ratio),
+      protein: Math.round(item.per.protein * ratio * 10) / 10,
+      fat: Math.round(item.per.fat * ratio * 10) / 10,
+      carbs: Math.round(item.per.carbs * ratio * 10) / 10
+    };
+  },
+
+  /**
+   * プラン全体の合計
+   */
+  calculateTotals(items) {
+    const totals = { calories: 0, protein: 0, fat: 0, carbs: 0 };
+    items.forEach(item => {
+      const ratio = item.amount / item.base;
+      Object.keys(totals).forEach(field => {
+        totals[field] += item.per[field] * ratio;
+      });
+    });
+    return totals;
+  },
+
+  /**
+   * 栄養素ごとの許容幅
+   */
+  getTolerances() {
+    return {
+      calories: this.calorieTolerance,
+      protein: DataManager.pfcTolerances.protein,
+      fat: DataManager.pfcTolerances.fat,
+      carbs: DataManager.pfcTolerances.carbsOver
+    };
+  },
+
+  /**
+   * 目標との差を許容幅で割った二乗和（小さいほど目標に近い）
+   */
+  cost(totals, goals) {
+    const tolerances = this.getTolerances();
+    return Object.keys(tolerances).reduce((sum, key) => {
+      if (!goals[key]) return sum;
+      const diff = (totals[key] - goals[key]) / tolerances[key];
+      return sum + diff * diff;
+    }, 0);
+  },
+
+  /**
+   * 目標との差と許容幅に収まっているかを評価
+   * @returns {Object} key → { total, goal, diff, ok }
+   */
+  evaluate(totals, goals) {
+    const tolerances = this.getTolerances();
+    const result = {};
+    Object.keys(tolerances).forEach(key => {
+      if (!goals[key]) return;
+      const diff = totals[key] - goals[key];
+      result[key] = {
+        total: Math.round(totals[key] * 10) / 10,
+        goal: goals[key],
+        diff: Math.round(diff * 10) / 10,
+        ok: Math.abs(diff) <= tolerances[key]
+      };
+    });
+    return result;
+  },
+
+  /**
+   * 固定していない品目の量を調整して目標に近づける
+   * 大きい刻みから順に、1品目ずつ増減して改善する方向へ動かす（座標降下法）
+   * @param {Array} items - プランの品目
+   * @param {Object} goals - 目標（getGoalsForDate）
+   * @returns {Array} 量を調整した品目（元の配列は変えない）
+   */
+  optimize(items, goals) {
+    const result = items.map(item => ({ ...item }));
+    let best = this.cost(this.calculateTotals(result), goals);
+
+    [5, 1].forEach(multiplier => {
+      for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+        let improved = false;
+
+        result.forEach(item => {
+          if (item.locked) return;
+          [item.step * multiplier, -item.step * multiplier].forEach(delta => {
+            const previous = item.amount;
+            const next = Math.round((previous + delta) * 10) / 10;
+            if (next < item.step || next > item.max) return;
+
+            item.amount = next;
+            const cost = this.cost(this.calculateTotals(result), goals);
+            if (cost < best - 1e-9) {
+              best = cost;
+              improved = true;
+            } else {
+              item.amount = previous;
+            }
+          });
+        });
+
+        if (!improved) break;
+      }
+    });
+
+    return result;
+  },
+
+  /**
+   * プランを meals の1日分の形に変換
+   */
+  toMeals(items) {
+    const meals = { breakfast: [], lunch: [], snack: [], dinner: [], exercise: [] };
+    items.forEach(item => {
+      const name = item.fixed ? item.name : FoodCatalog.formatItemName(item, item.amount);
+      meals[item.mealType].push({ name, ...this.scaleItem(item) });
+    });
+    return meals;
+  }
+};
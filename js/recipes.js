@@ -0,0 +1,153 @@
+/**
+ * レシピモジュール
+ * 材料（生の重さ）と出来上がりの重さから料理の100gあたりの栄養値を計算する
+ * レシピはバージョンごとに保存し、記録する日に有効だったバージョンで換算する
+ */
+
+const RecipeBook = {
+  // レシピ一覧（名前 → { name, versions: [...] }）
+  recipes: {},
+
+  // 1食の量が未設定のときの量（g）
+  defaultServingWeight: 100,
+
+  /**
+   * 保存済みのレシピを読み込み
+   */
+  async load() {
+    let stored = [];
+    try {
+      stored = await LocalStore.getAll('recipes');
+    } catch (error) {
+      console.log('レシピを読み込めませんでした:', error);
+    }
+
+    this.recipes = {};
+    stored.forEach(recipe => {
+      this.recipes[recipe.name] = recipe;
+    });
+    return this.recipes;
+  },
+
+  /**
+   * レシピ名を正規化（全角括弧などを食品データベースと揃える）
+   */
+  normalizeName(name) {
+    return String(name || '').normalize('NFKC').trim();
+  },
+
+  /**
+   * 材料の合計と出来上がりの重さから100gあたりの栄養値を計算
+   * 量を掛けたときに誤差が出ないよう per100 は丸めずに持つ
+   * @param {Array} ingredients - [{ name, calories, protein, fat, carbs }]
+   * @param {number} cookedWeight - 出来上がりの重さ（g）
+   * @returns {Object|null} { total: {...}, per100: {...} }
+   */
+  calculateNutrients(ingredients, cookedWeight) {
+    const total = { calories: 0, protein: 0, fat: 0, carbs: 0 };
+    (ingredients || []).forEach(item => {
+      Object.keys(total).forEach(field => {
+        total[field] += item[field] || 0;
+      });
+    });
+    if (!cookedWeight || cookedWeight <= 0) return null;
+
+    const ratio = 100 / cookedWeight;
+    return {
+      total,
+      per100: {
+        calories: total.calories * ratio,
+        protein: total.protein * ratio,
+        fat: total.fat * ratio,
+        carbs: total.carbs * ratio
+      }
+    };
+  },
+
+  /**
+   * レシピの新しいバージョンを保存
+   * 以前のバージョンは残るので、過去の日の換算は変わらない
+   * @param {Object} draft - { name, ingredients, cookedWeight, servingWeight }
+   * @param {string} since - このバージョンを使い始める日（YYYY-MM-DD）
+   * @returns {Object} 保存したレシピ
+   */
+  async saveVersion(draft, since) {
+    const name = this.normalizeName(draft.name);
+    const nutrients = this.calculateNutrients(draft.ingredients, draft.cookedWeight);
+    if (!name) throw new Error('レシピ名を入力してください');
+    if (!nutrients) throw new Error('出来上がりの重さを入力してください');
+
+    const recipe = this.recipes[name] || { name, versions: [] };
+    const version = {
+      version: recipe.versions.length + 1,
+      since,
+      ingredients: draft.ingredients.map(item => ({ ...item })),
+      cookedWeight: draft.cookedWeight,
+      servingWeight: draft.servingWeight || this.defaultServingWeight,
+      per100: nutrients.per100
+    };
+
+    const saved = { ...recipe, versions: [...recipe.versions, version] };
+    await LocalStore.put('recipes', saved);
+    this.recipes[name] = saved;
+    return saved;
+  },
+
+  /**
+   * レシピを削除（全バージョン）
+   */
+  async delete(name) {
+    await LocalStore.delete('recipes', name);
+    delete this.recipes[name];
+  },
+
+  /**
+   * 最新のバージョンを取得
+   */
+  getLatestVersion(name) {
+    const recipe = this.recipes[name];
+    return recipe ? recipe.versions[recipe.versions.length - 1] : null;
+  },
+
+  /**
+   * 指定した日に有効なバージョンを取得
+   * その日より前に作ったバージョンがなければ最初のバージョンを使う
+   */
+  getVersionForDate(name, date) {
+    const recipe = this.recipes[name];
+    if (!recipe || recipe.versions.length === 0) return null;
+
+    const valid = recipe.versions
+      .filter(v => !date || v.since <= date)
+      .sort((a, b) => a.since.localeCompare(b.since) || a.version - b.version);
+    return valid.length > 0 ? valid[valid.length - 1] : recipe.versions[0];
+  },
+
+  /**
+   * レシピを食品データベースと同じ形の食品として取得（100gあたり）
+   */
+  toFood(name, date) {
+    const version = this.getVersionForDate(name, date);
+    if (!version) return null;
+
+    return {
+      key: FoodCatalog.getKey(name, 'g'),
+      name,
+      unit: 'g',
+      base: 100,
+      ...version.per100,
+      defaultAmount: version.servingWeight,
+      recipe: true,
+      version: version.version
+    };
+  },
+
+  /**
+   * 指定した日に有効なレシピを食品として一覧
+   */
+  getFoods(date) {
+    return Object.keys(this.recipes)
+      .map(name => this.toFood(name, date))
+      .filter(food => food);
+  }
+};
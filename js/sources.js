@@ -0,0 +1,249 @@
+/**
+ * データソースモジュール
+ * 読み込み元ごとのアダプタ（表示名・対応機能・load()・任意で save()）を登録し、App はアダプタ経由でデータを取得する
+ * load() は { settings, daily_log, weekly_measurements, meals, meal_sources, goal_history } の形のデータを返す
+ */
+
+const DataSources = {
+  // 登録済みのアダプタ（ID → アダプタ、登録順に #dataSource の選択肢になる）
+  adapters: {},
+
+  /**
+   * アダプタを登録
+   * @param {Object} adapter - { id, name, shortName, description, capabilities, load(), save() }
+   *   shortName は最近の記録の出典バッジ、capabilities は { remote, save, file }（file はファイルの読み込みが必要）
+   */
+  register(adapter) {
+    if (!adapter.id || typeof adapter.load !== 'function') {
+      throw new Error('データソースには id と load() が必要です');
+    }
+
+    adapter.capabilities = {
+      remote: false,
+      save: typeof adapter.save === 'function',
+      ...adapter.capabilities
+    };
+    this.adapters[adapter.id] = adapter;
+    DataManager.sourceLabels[adapter.id] = adapter.shortName || adapter.name;
+    return adapter;
+  },
+
+  /**
+   * アダプタを取得
+   */
+  get(id) {
+    return this.adapters[id] || null;
+  },
+
+  /**
+   * 登録済みのアダプタ（登録順）
+   */
+  list() {
+    return Object.values(this.adapters);
+  },
+
+  /**
+   * データソースから読み込み（読み込んだデータは DataManager.cachedData にも保持）
+   */
+  async load(id) {
+    const adapter = this.get(id);
+    if (!adapter) {
+      throw new Error(`データソース "${id}" は登録されていません`);
+    }
+
+    const data = await adapter.load();
+    DataManager.cachedData = data;
+    return data;
+  },
+
+  /**
+   * データソースへ書き込み（save() を持つアダプタのみ）
+   */
+  async save(id, data) {
+    const adapter = this.get(id);
+    if (!adapter || !adapter.capabilities.save) {
+      throw new Error(`データソース "${adapter ? adapter.name : id}" は書き込みに対応していません`);
+    }
+    return adapter.save(data);
+  }
+};
+
+/**
+ * Google Sheets（公開URLで取得、APIキー不要）
+ * 食事・目標履歴・設定はローカルJSONの内容も合わせて使う
+ */
+DataSources.register({
+  id: 'sheets',
+  name: 'Google Sheets',
+  shortName: 'シート',
+  description: '公開スプレッドシートの Input・settings・Meals・Weekly シートを読み込みます',
+  capabilities: { remote: true },
+  sheetId: '12nJDx3anatLU4vMt09JvJek5fyS9uFE6AvWYk0uwpBQ',
+
+  async load() {
+    try {
+      // Inputシートからデータ取得
+      const dailyLog = await this.fetchSheet('Input');
+      // settingsシートからデータ取得（存在しなければデフォルト使用）
+      let settings;
+      try {
+        const settingsData = await this.fetchSheet('settings');
+        settings = DataManager.parseSettingsSheet(settingsData);
+      } catch (e) {
+        console.log('settingsシートが見つかりません。デフォルト設定を使用します。');
+        settings = DataManager.getDefaultSettings();
+      }
+
+      // Mealsシートから食事データ取得（存在しなければローカルJSONのみ使用）
+      let sheetMeals = {};
+      try {
+        const mealsData = await this.fetchSheet('Meals');
+        sheetMeals = DataManager.parseMealsSheet(mealsData);
+      } catch (e) {
+        console.log('Mealsシートが見つかりません。ローカルJSONの食事データを使用します。');
+      }
+
+      // Weeklyシートから採寸データ取得（存在しなければローカルJSONの採寸を使用）
+      let weeklyMeasurements = null;
+      try {
+        const weeklyData = await this.fetchSheet('Weekly');
+        weeklyMeasurements = DataManager.parseWeeklySheet(weeklyData);
+      } catch (e) {
+        console.log('Weeklyシートが見つかりません。ローカルJSONの採寸データを使用します。');
+      }
+
+      // ローカルJSONから食事データ、目標履歴、設定を取得
+      let meals = {};
+      let localWeekly = [];
+      let goalHistory = DataManager.getGoalHistory();
+      let localSettings = null;
+      try {
+        const localData = await DataSources.get('local').load();
+        meals = localData.meals || {};
+        localWeekly = localData.weekly_measurements || [];
+        goalHistory = localData.goal_history || goalHistory;
+        // ローカルJSONのsettingsを優先（目標カロリーなどの最新設定）
+        if (localData.settings) {
+          localSettings = localData.settings;
+          console.log('ローカルJSONのsettingsを読み込みました:', localSettings.goals);
+        }
+      } catch (e) {
+        console.log('ローカル食事データの読み込みに失敗しました:', e);
+      }
+
+      // デバッグ: 最終的に使用するsettingsを表示
+      const finalSettings = localSettings || settings;
+      console.log('最終settings:', finalSettings.goals);
+
+      const mergedMeals = DataManager.mergeMeals(sheetMeals, meals);
+
+      return {
+        // ローカルJSONのsettingsがあればそちらを優先
+        settings: finalSettings,
+        daily_log: DataManager.parseInputSheet(dailyLog),
+        weekly_measurements: weeklyMeasurements || localWeekly,
+        meals: mergedMeals.meals,
+        meal_sources: mergedMeals.sources,
+        goal_history: goalHistory
+      };
+    } catch (error) {
+      console.error('Google Sheetsからのデータ取得に失敗しました:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * 公開スプレッドシートのシートを Google Visualization API で取得
+   */
+  async fetchSheet(sheetName) {
+    const url = `https://docs.google.com/spreadsheets/d/${this.sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(sheetName)}`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`シート "${sheetName}" の取得に失敗しました`);
+    }
+
+    const text = await response.text();
+    // Google VizのレスポンスからJSON部分を抽出
+    const jsonMatch = text.match(/google\.visualization\.Query\.setResponse\(([\s\S]*)\);?$/);
+    if (!jsonMatch) {
+      throw new Error('データの解析に失敗しました');
+    }
+
+    const jsonData = JSON.parse(jsonMatch[1]);
+    return DataManager.parseGoogleVizResponse(jsonData);
+  }
+});
+
+/**
+ * ローカルJSONファイル
+ */
+DataSources.register({
+  id: 'local',
+  name: 'ローカルデータ',
+  shortName: 'JSON',
+  description: 'data/sample.json を読み込みます',
+  path: 'data/sample.json',
+
+  async load() {
+    try {
+      // キャッシュバスティング用のタイムスタンプを追加
+      const cacheBuster = `?v=${Date.now()}`;
+      const response = await fetch(this.path + cacheBuster);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('ローカルデータの読み込みに失敗しました:', error);
+      throw error;
+    }
+  }
+});
+
+/**
+ * CSVファイル（「CSVの読み込み・書き出し」で読み込んだ日々の記録を IndexedDB に保存して使う）
+ * 設定・目標履歴はローカルJSONの内容を使う
+ */
+DataSources.register({
+  id: 'csv',
+  name: 'CSVファイル',
+  shortName: 'CSV',
+  description: '読み込んだCSVファイルの記録を表示します',
+  capabilities: { file: true },
+
+  async load() {
+    const imported = await LocalStore.get('imports', this.id);
+    if (!imported) {
+      throw new Error('CSVファイルが読み込まれていません。「CSVの読み込み・書き出し」からファイルを選んでください');
+    }
+
+    let settings = DataManager.getDefaultSettings();
+    let goalHistory = DataManager.getGoalHistory();
+    try {
+      const localData = await DataSources.get('local').load();
+      settings = localData.settings || settings;
+      goalHistory = localData.goal_history || goalHistory;
+    } catch (e) {
+      console.log('ローカルJSONの設定を読み込めませんでした。デフォルト設定を使用します。');
+    }
+
+    return {
+      settings,
+      daily_log: imported.daily_log,
+      weekly_measurements: [],
+      meals: {},
+      meal_sources: {},
+      goal_history: goalHistory
+    };
+  },
+
+  /**
+   * 読み込んだCSVを保存（{ name, encoding, delimiter, daily_log }）
+   */
+  async save(imported) {
+    const saved = { ...imported, id: this.id, imported_at: new Date().toISOString() };
+    await LocalStore.put('imports', saved);
+    return saved;
+  }
+});
@@ -0,0 +1,141 @@
+/**
+ * ブラウザ内保存モジュール
+ * IndexedDB に手入力した記録・食事の編集・食品データベース・レシピ・食事テンプレート・食事プラン・トレーニング記録・採寸・読み込んだCSVを保存
+ */
+
+const LocalStore = {
+  dbName: 'weightDashboard',
+  dbVersion: 9,
+
+  // オブジェクトストア（ストア名 → keyPath）
+  stores: {
+    dailyEntries: 'date',
+    mealEdits: 'date',
+    foods: 'key',
+    recipes: 'name',
+    mealTemplates: 'id',
+    mealPlans: 'date',
+    workouts: 'date',
+    measurements: 'date',
+    imports: 'id'
+  },
+
+  // 開いたデータベースの Promise
+  dbPromise: null,
+
+  // 開くのを待つ上限（ミリ秒）
+  openTimeout: 5000,
+
+  // 開けなかった理由（画面に表示する、開けたら null）
+  openError: null,
+
+  /**
+   * データベースを開く（初回・バージョン更新時にストアを作成）
+   * 別のタブが古いバージョンを開いたままで更新できないときや、時間内に開けないときは失敗させ、
+   * 呼び出し側はブラウザ内の記録なしで表示を続ける（再読み込みまで開き直さない）
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    let retry = true;
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('このブラウザはIndexedDBに対応していません'));
+        return;
+      }
+
+      let settled = false;
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        reject(error);
+      };
+      const timer = setTimeout(() => {
+        retry = false;
+        fail(new Error('ブラウザ内の記録を開けませんでした。ページを再読み込みしてください'));
+      }, this.openTimeout);
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.keys(this.stores).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: this.stores[name] });
+          }
+        });
+      };
+      request.onblocked = () => {
+        retry = false;
+        fail(new Error('別のタブで古いバージョンのダッシュボードが開いているため、ブラウザ内の記録を読み込めません。他のタブを閉じてから再読み込みしてください'));
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // 別のタブがバージョンを更新するときは接続を閉じて譲り、次の操作で開き直す
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        // 失敗扱いにした後で開けた接続は使わない
+        if (settled) {
+          db.close();
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        this.openError = null;
+        resolve(db);
+      };
+      request.onerror = () => fail(request.error);
+    });
+
+    // 失敗した場合は次回開き直せるようにする（ブロック・タイムアウトは再読み込みまで失敗のまま）
+    this.dbPromise.catch(error => {
+      this.openError = error;
+      if (retry) this.dbPromise = null;
+    });
+    return this.dbPromise;
+  },
+
+  /**
+   * ストアに対する1回の操作を実行
+   */
+  async request(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  /**
+   * ストアの全件を取得
+   */
+  async getAll(storeName) {
+    return this.request(storeName, 'readonly', store => store.getAll());
+  },
+
+  /**
+   * キーを指定して1件取得
+   */
+  async get(storeName, key) {
+    return this.request(storeName, 'readonly', store => store.get(key));
+  },
+
+  /**
+   * 1件を保存（同じキーは上書き）
+   */
+  async put(storeName, value) {
+    return this.request(storeName, 'readwrite', store => store.put(value));
+  },
+
+  /**
+   * キーを指定して1件削除
+   */
+  async delete(storeName, key) {
+    return this.request(storeName, 'readwrite', store => store.delete(key));
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * 食事テンプレートモジュール
+ * よく食べる組み合わせ（例: 毎朝の朝食）を保存し、食事区分ごと丸ごと書き込む
+ */
+
+const MealTemplates = {
+  // テンプレート一覧（名前順）
+  templates: [],
+
+  /**
+   * 保存済みのテンプレートを読み込み
+   */
+  async load() {
+    let stored = [];
+    try {
+      stored = await LocalStore.getAll('mealTemplates');
+    } catch (error) {
+      console.log('食事テンプレートを読み込めませんでした:', error);
+    }
+
+    this.templates = stored.sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+    return this.templates;
+  },
+
+  /**
+   * テンプレートを保存（新規の場合は id を振る）
+   * @param {Object} template - { id?, name, mealType, items }
+   * @returns {Object} 保存したテンプレート
+   */
+  async save(template) {
+    const name = String(template.name || '').trim();
+    if (!name) throw new Error('テンプレート名を入力してください');
+
+    const saved = {
+      id: template.id || `template_${Date.now()}`,
+      name,
+      mealType: template.mealType || 'breakfast',
+      items: (template.items || [])
+        .filter(item => String(item.name || '').trim() || item.calories)
+        .map(item => ({
+          name: item.name,
+          calories: item.calories || 0,
+          protein: item.protein || 0,
+          fat: item.fat || 0,
+          carbs: item.carbs || 0
+        })),
+      updated_at: new Date().toISOString()
+    };
+
+    await LocalStore.put('mealTemplates', saved);
+    await this.load();
+    return saved;
+  },
+
+  /**
+   * テンプレートを削除
+   */
+  async delete(id) {
+    await LocalStore.delete('mealTemplates', id);
+    this.templates = this.templates.filter(template => template.id !== id);
+  },
+
+  /**
+   * id からテンプレートを取得
+   */
+  get(id) {
+    return this.templates.find(template => template.id === id) || null;
+  },
+
+  /**
+   * テンプレートの品目の合計（kcal・PFC）
+   */
+  calculateTotals(items) {
+    return DataManager.calculateDayMealTotals({ breakfast: items });
+  },
+
+  /**
+   * 前日の同じ食事区分の品目を複製して取得
+   * @param {Object} meals - 日付ごとの食事データ
+   * @param {string} date - 書き込む日（YYYY-MM-DD）
+   * @param {string} mealType - 食事区分
+   * @returns {Array} 品目の配列（前日の記録がなければ空）
+   */
+  getPreviousDayItems(meals, date, mealType) {
+    const previous = dayjs(date).subtract(1, 'day').format('YYYY-MM-DD');
+    const dayMeals = meals && meals[previous];
+    return ((dayMeals && dayMeals[mealType]) || []).map(item => ({ ...item }));
+  }
+};
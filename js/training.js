@@ -0,0 +1,290 @@
+/**
+ * トレーニング記録モジュール
+ * 種目・セット・回数・重量を日ごとに記録し、推定1RM・自己ベスト・部位別の週間ボリュームを集計する
+ * 食事データの「筋トレ」（消費カロリーだけの品目）は、記録のない日に限り種目として取り込む
+ */
+
+const TrainingLog = {
+  // 部位（キー → 表示名）
+  muscleGroups: {
+    chest: '胸',
+    back: '背中',
+    legs: '脚',
+    shoulders: '肩',
+    arms: '腕',
+    core: '体幹',
+    other: 'その他'
+  },
+
+  // 種目名から部位を推定する規則（上から順に判定、他の部位の語を含む種目名があるため具体的な規則を先に置く）
+  muscleRules: [
+    { pattern: /クランチ|プランク|腹筋|アブ(?!ダク)|レッグレイズ/, muscle: 'core' },
+    { pattern: /レッグ|スクワット|ランジ|カーフ|ヒップ|ブルガリアン/, muscle: 'legs' },
+    { pattern: /カール|トライセプス|プレスダウン|キックバック|フレンチ/, muscle: 'arms' },
+    { pattern: /ショルダー|サイドレイズ|リアレイズ|リアデルト|フロントレイズ|ミリタリー|アップライト/, muscle: 'shoulders' },
+    { pattern: /プルダウン|ロー(?!プ)|ロウ|懸垂|チンニング|デッドリフト|プルオーバー|バックエクステンション/, muscle: 'back' },
+    { pattern: /ベンチ|チェスト|フライ|ディップス|腕立て|プッシュアップ/, muscle: 'chest' }
+  ],
+
+  // 消費カロリーの推定（筋トレのMETsと、休憩を含む1セットあたりの時間）
+  trainingMets: 3.5,
+  minutesPerSet: 2.5,
+  defaultBodyWeight: 70,
+
+  // 日付 → トレーニング記録（{ date, exercises, calories, source }）
+  workouts: {},
+
+  // 日付順の体重（消費カロリーの推定に使用）
+  bodyWeights: [],
+
+  /**
+   * 保存済みの記録を読み込み、記録のない日は食事データの筋トレを取り込む
+   * @param {Object} meals - 日付ごとの食事データ
+   * @param {Array} dailyLog - daily_log（体重を消費カロリーの推定に使用）
+   */
+  async load(meals, dailyLog) {
+    let stored = [];
+    try {
+      stored = await LocalStore.getAll('workouts');
+    } catch (error) {
+      console.log('トレーニング記録を読み込めませんでした:', error);
+    }
+
+    const workouts = {};
+    Object.keys(meals || {}).forEach(date => {
+      const items = (meals[date] && meals[date].exercise) || [];
+      if (items.length > 0) {
+        workouts[date] = this.fromMealItems(date, items);
+      }
+    });
+    stored.forEach(workout => {
+      workouts[workout.date] = workout;
+    });
+    this.workouts = workouts;
+
+    this.bodyWeights = (dailyLog || [])
+      .filter(d => d.weight)
+      .map(d => ({ date: d.date, weight: d.weight }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    return workouts;
+  },
+
+  /**
+   * 食事データの筋トレ（品目名と負の消費カロリー）をトレーニング記録に変換
+   * セットの情報はないため、消費カロリーだけを持つ種目になる
+   */
+  fromMealItems(date, items) {
+    return {
+      date,
+      exercises: items.map(item => ({
+        name: item.name,
+        muscle: this.guessMuscle(item.name),
+        sets: [],
+        calories: Math.abs(item.calories || 0)
+      })),
+      calories: null,
+      source: 'meals'
+    };
+  },
+
+  /**
+   * 記録を保存（セットのない空の種目は除く）
+   */
+  async save(workout) {
+    const exercises = (workout.exercises || [])
+      .map(exercise => ({
+        name: String(exercise.name || '').trim(),
+        muscle: exercise.muscle || this.guessMuscle(exercise.name),
+        sets: (exercise.sets || [])
+          .filter(set => set.reps > 0)
+          .map(set => ({ reps: set.reps, weight: set.weight || 0 })),
+        calories: exercise.calories || null
+      }))
+      .filter(exercise => exercise.name && (exercise.sets.length > 0 || exercise.calories));
+    if (exercises.length === 0) throw new Error('種目とセット（回数）を入力してください');
+
+    const saved = {
+      date: workout.date,
+      exercises,
+      calories: workout.calories || null,
+      source: 'browser',
+      updated_at: new Date().toISOString()
+    };
+    await LocalStore.put('workouts', saved);
+    this.workouts[saved.date] = saved;
+    return saved;
+  },
+
+  /**
+   * 記録を削除
+   */
+  async delete(date) {
+    await LocalStore.delete('workouts', date);
+    delete this.workouts[date];
+  },
+
+  /**
+   * 日付の記録を取得
+   */
+  get(date) {
+    return this.workouts[date] || null;
+  },
+
+  /**
+   * 種目名から部位を推定（過去に記録した部位を優先）
+   */
+  guessMuscle(name) {
+    const trimmed = String(name || '').trim();
+    const dates = Object.keys(this.workouts).sort().reverse();
+    for (const date of dates) {
+      const found = this.workouts[date].exercises.find(exercise => exercise.name === trimmed);
+      if (found && found.muscle) return found.muscle;
+    }
+
+    const text = trimmed.normalize('NFKC');
+    const rule = this.muscleRules.find(r => r.pattern.test(text));
+    return rule ? rule.muscle : 'other';
+  },
+
+  /**
+   * 記録したことのある種目名（新しい順）
+   */
+  getExerciseNames() {
+    const names = [];
+    Object.keys(this.workouts).sort().reverse().forEach(date => {
+      this.workouts[date].exercises.forEach(exercise => {
+        if (!names.includes(exercise.name)) names.push(exercise.name);
+      });
+    });
+    return names;
+  },
+
+  /**
+   * 推定1RM（Epley式: 重量 × (1 + 回数 / 30)、1回ならその重量）
+   */
+  estimate1RM(weight, reps) {
+    if (!weight || !reps) return null;
+    if (reps === 1) return weight;
+    return Math.round(weight * (1 + reps / 30) * 10) / 10;
+  },
+
+  /**
+   * セットのボリューム（回数 × 重量の合計、kg）
+   */
+  calculateVolume(sets) {
+    return (sets || []).reduce((sum, set) => sum + (set.reps || 0) * (set.weight || 0), 0);
+  },
+
+  /**
+   * 日付時点の体重（その日以前で最新の記録）
+   */
+  getBodyWeight(date) {
+    let weight = null;
+    this.bodyWeights.forEach(d => {
+      if (d.date <= date) weight = d.weight;
+    });
+    return weight || (this.bodyWeights[0] && this.bodyWeights[0].weight) || this.defaultBodyWeight;
+  },
+
+  /**
+   * 種目の消費カロリー（記録した値がなければセット数から推定）
+   */
+  estimateExerciseCalories(exercise, bodyWeight) {
+    if (exercise.calories) return exercise.calories;
+    const minutes = (exercise.sets || []).length * this.minutesPerSet;
+    return Math.round(this.trainingMets * bodyWeight * minutes / 60);
+  },
+
+  /**
+   * その日のトレーニングの消費カロリー（手入力した合計があればそれを優先）
+   */
+  getCalories(date) {
+    const workout = this.workouts[date];
+    if (!workout) return 0;
+    if (workout.calories) return workout.calories;
+
+    const bodyWeight = this.getBodyWeight(date);
+    return workout.exercises.reduce((sum, exercise) => sum + this.estimateExerciseCalories(exercise, bodyWeight), 0);
+  },
+
+  /**
+   * 記録のある日の消費カロリー（日付 → kcal、エネルギー収支の計算に使用）
+   */
+  getCaloriesByDate() {
+    const calories = {};
+    Object.keys(this.workouts).forEach(date => {
+      calories[date] = this.getCalories(date);
+    });
+    return calories;
+  },
+
+  /**
+   * 種目ごとの記録の推移（日付順）と自己ベストの更新
+   * @returns {Array} [{ date, bestE1rm, topWeight, volume, sets, pr }]
+   */
+  getExerciseHistory(name) {
+    let best = 0;
+    const history = [];
+
+    Object.keys(this.workouts).sort().forEach(date => {
+      const exercise = this.workouts[date].exercises.find(e => e.name === name);
+      if (!exercise || exercise.sets.length === 0) return;
+
+      const e1rms = exercise.sets.map(set => this.estimate1RM(set.weight, set.reps) || 0);
+      const bestE1rm = Math.max(...e1rms);
+      const pr = bestE1rm > best;
+      if (pr) best = bestE1rm;
+
+      history.push({
+        date,
+        bestE1rm: bestE1rm || null,
+        topWeight: Math.max(...exercise.sets.map(set => set.weight || 0)),
+        volume: this.calculateVolume(exercise.sets),
+        sets: exercise.sets.length,
+        pr: pr && bestE1rm > 0
+      });
+    });
+
+    return history;
+  },
+
+  /**
+   * 指定した日より前の推定1RMの最高値（自己ベストの判定に使用）
+   */
+  getBestBefore(name, date) {
+    return this.getExerciseHistory(name)
+      .filter(entry => entry.date < date)
+      .reduce((best, entry) => Math.max(best, entry.bestE1rm || 0), 0);
+  },
+
+  /**
+   * 部位ごとの週間ボリュームとセット数（月曜始まり、古い順）
+   * @param {number} weeks - 集計する週数（最新の記録の週から遡る）
+   * @returns {Array} [{ weekStart, volume: { muscle: kg }, sets: { muscle: セット数 } }]
+   */
+  calculateWeeklyVolume(weeks = 8) {
+    const dates = Object.keys(this.workouts).sort();
+    if (dates.length === 0) return [];
+
+    const byWeek = {};
+    const lastWeek = DataManager.getWeekStart(dates[dates.length - 1]);
+    const cursor = new Date(`${lastWeek}T00:00:00`);
+    for (let i = 0; i < weeks; i++) {
+      const weekStart = DataManager.toDateString(cursor);
+      byWeek[weekStart] = { weekStart, volume: {}, sets: {} };
+      cursor.setDate(cursor.getDate() - 7);
+    }
+
+    dates.forEach(date => {
+      const week = byWeek[DataManager.getWeekStart(date)];
+      if (!week) return;
+      this.workouts[date].exercises.forEach(exercise => {
+        const muscle = exercise.muscle || 'other';
+        week.volume[muscle] = (week.volume[muscle] || 0) + this.calculateVolume(exercise.sets);
+        week.sets[muscle] = (week.sets[muscle] || 0) + exercise.sets.length;
+      });
+    });
+
+    return Object.values(byWeek).sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+  }
+};